@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server'
+import { bookingsStore, resourcesStore, getRoomIds } from '../../../../lib/server/stores'
+import { HttpError, errorResponse, readJsonBody } from '../../../../lib/server/httpErrors'
+import { validateBooking } from '../../../../lib/server/validation'
+
+const findBookingIndex = (bookings, id) => {
+  const index = bookings.findIndex(b => b.id === id)
+  if (index === -1) throw new HttpError(404, `Booking ${id} not found`)
+  return index
+}
+
+/**
+ * GET /api/bookings/:id
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const bookings = await bookingsStore.read()
+
+    return NextResponse.json({ data: bookings[findBookingIndex(bookings, id)] })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
+
+/**
+ * PATCH /api/bookings/:id
+ * Applies a partial update; only the fields it changes are validated.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const changes = await readJsonBody(request)
+
+    const updated = await bookingsStore.update(async (bookings) => {
+      // Read inside the update, so a room can't be deleted between the check and the write
+      const roomIds = getRoomIds(await resourcesStore.read())
+      const index = findBookingIndex(bookings, id)
+      // Ids are assigned by the store and can't be changed
+      const { id: _id, booking_id: _bookingId, ...allowed } = changes
+      const booking = { ...bookings[index], ...allowed }
+      validateBooking(booking, roomIds, Object.keys(allowed))
+
+      return { data: bookings.map((b, i) => i === index ? booking : b), result: booking }
+    })
+
+    return NextResponse.json({ data: updated })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
+
+/**
+ * DELETE /api/bookings/:id
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params
+
+    await bookingsStore.update((bookings) => {
+      findBookingIndex(bookings, id)
+      return { data: bookings.filter(b => b.id !== id), result: id }
+    })
+
+    return new NextResponse(null, { status: 204 })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server'
+import { bookingsStore, resourcesStore, sequencesStore, getRoomIds } from '../../../lib/server/stores'
+import { errorResponse, readJsonBody } from '../../../lib/server/httpErrors'
+import { parseDateRange, validateBooking } from '../../../lib/server/validation'
+import { isBookingInRange, nextBookingId } from '../../../utils/bookingUtils'
+
+/**
+ * GET /api/bookings?start=YYYY-MM-DD&end=YYYY-MM-DD
+ * Lists bookings overlapping the range (end exclusive); both bounds are optional.
+ */
+export async function GET(request) {
+  try {
+    const range = parseDateRange(request.nextUrl.searchParams)
+    const bookings = await bookingsStore.read()
+
+    return NextResponse.json({ data: bookings.filter(b => isBookingInRange(b, range)) })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
+
+/**
+ * POST /api/bookings
+ * Creates a booking and assigns it a unique id.
+ */
+export async function POST(request) {
+  try {
+    const body = await readJsonBody(request)
+
+    const created = await bookingsStore.update(async (bookings) => {
+      // Read inside the update, so a room can't be deleted between the check and the write
+      validateBooking(body, getRoomIds(await resourcesStore.read()))
+      const id = await sequencesStore.update((sequences) => {
+        const next = nextBookingId(bookings, sequences.bookings)
+        return { data: { ...sequences, bookings: Number(next) }, result: next }
+      })
+      const booking = { ...body, id, booking_id: Number(id) }
+
+      return { data: [...bookings, booking], result: booking }
+    })
+
+    return NextResponse.json({ data: created }, { status: 201 })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
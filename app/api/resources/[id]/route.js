@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server'
+import { bookingsStore, resourcesStore } from '../../../../lib/server/stores'
+import { HttpError, errorResponse, readJsonBody } from '../../../../lib/server/httpErrors'
+import { validateResource } from '../../../../lib/server/validation'
+
+/**
+ * PATCH /api/resources/:id
+ * Updates a group or a room; ids and group membership can't be changed.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const { id: _id, children: _children, parentId: _parentId, ...changes } = await readJsonBody(request)
+
+    const updated = await resourcesStore.update((groups) => {
+      let result = null
+
+      const data = groups.map(group => {
+        if (group.id === id) {
+          result = { ...group, ...changes }
+          validateResource(result)
+          return result
+        }
+
+        const children = (group.children || []).map(room => {
+          if (room.id !== id) return room
+          result = { ...room, ...changes }
+          validateResource(result)
+          return result
+        })
+        return result && children.includes(result) ? { ...group, children } : group
+      })
+
+      if (!result) throw new HttpError(404, `Resource ${id} not found`)
+      return { data, result }
+    })
+
+    return NextResponse.json({ data: updated })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
+
+/**
+ * DELETE /api/resources/:id
+ * Deletes a group (with its rooms) or a room, refusing while bookings still reference them.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params
+
+    await resourcesStore.update(async (groups) => {
+      // Read inside the update, so no booking can be added for the room before it is removed
+      const bookings = await bookingsStore.read()
+      const group = groups.find(g => g.id === id)
+      const removedRoomIds = group
+        ? (group.children || []).map(room => room.id)
+        : groups.some(g => (g.children || []).some(room => room.id === id)) ? [id] : null
+
+      if (!removedRoomIds) throw new HttpError(404, `Resource ${id} not found`)
+
+      const booked = bookings.filter(b => removedRoomIds.includes(b.resourceId))
+      if (booked.length) {
+        throw new HttpError(409, `Resource ${id} still has ${booked.length} booking(s)`)
+      }
+
+      const data = group
+        ? groups.filter(g => g.id !== id)
+        : groups.map(g => ({ ...g, children: (g.children || []).filter(room => room.id !== id) }))
+
+      return { data, result: id }
+    })
+
+    return new NextResponse(null, { status: 204 })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
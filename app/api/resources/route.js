@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server'
+import { resourcesStore, nextPrefixedId } from '../../../lib/server/stores'
+import { HttpError, errorResponse, readJsonBody } from '../../../lib/server/httpErrors'
+import { validateResource } from '../../../lib/server/validation'
+
+/**
+ * GET /api/resources
+ * Lists resource groups with their rooms.
+ */
+export async function GET() {
+  try {
+    return NextResponse.json({ data: await resourcesStore.read() })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
+
+/**
+ * POST /api/resources
+ * Creates a room when parentId names a group, otherwise a new group.
+ */
+export async function POST(request) {
+  try {
+    const { parentId, ...body } = await readJsonBody(request)
+    validateResource(body)
+
+    const created = await resourcesStore.update((groups) => {
+      if (!parentId) {
+        const group = { ...body, id: nextPrefixedId(groups.map(g => g.id), 'G'), expanded: false, children: [] }
+        return { data: [...groups, group], result: group }
+      }
+
+      const parent = groups.find(g => g.id === parentId)
+      if (!parent) throw new HttpError(400, `parentId "${parentId}" is not a known group`)
+
+      const roomIds = groups.flatMap(g => (g.children || []).map(room => room.id))
+      const room = { ...body, id: nextPrefixedId(roomIds, 'R') }
+
+      return {
+        data: groups.map(g => g.id === parentId ? { ...g, children: [...(g.children || []), room] } : g),
+        result: room
+      }
+    })
+
+    return NextResponse.json({ data: created }, { status: 201 })
+  } catch (err) {
+    return errorResponse(err)
+  }
+}
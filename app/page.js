@@ -1,76 +1,346 @@
 'use client'
 
-import React, { useState, useMemo, useEffect } from 'react'
+import React, { Suspense, useState, useMemo, useEffect, useCallback, useRef } from 'react'
+import { usePathname, useRouter, useSearchParams } from 'next/navigation'
 import VirtualizedScheduler from '../components/VirtualizedScheduler'
+import Toast from '../components/Toast'
+import useCommandHistory from '../hooks/useCommandHistory'
+import usePreferences from '../hooks/usePreferences'
+import { mergeBookings } from '../utils/bookingUtils'
+import { createDataProvider } from '../lib/dataProviders'
+import { parseViewState, serializeViewState, applyExpandedGroups } from '../utils/viewStateUtils'
+import { DEFAULT_FILTERS } from '../utils/filterUtils'
 import dayjs from 'dayjs'
 
-export default function Home() {
+// View preferences kept per browser; the expanded groups and filters start from the data
+const DEFAULT_PREFERENCES = {
+  cellWidth: 120,
+  rowHeight: 60,
+  daysToShow: 90,
+  expandedIds: null,
+  filters: DEFAULT_FILTERS
+}
+
+// Preferences defaulting to null are only restored when they pass these checks
+const PREFERENCE_VALIDATORS = {
+  expandedIds: Array.isArray
+}
+
+const dataProvider = createDataProvider()
+
+function Home() {
+  const router = useRouter()
+  const pathname = usePathname()
+  const searchParams = useSearchParams()
+
+  // The view is restored from the query parameters once, then written back as it changes
+  const [initialView] = useState(() => parseViewState(searchParams))
+  const [today] = useState(() => dayjs().format('YYYY-MM-DD'))
+  const [startDate, setStartDate] = useState(initialView.startDate ?? today)
+  const [zoom, setZoom] = useState(initialView.zoom ?? 'day')
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm ?? '')
+  const [bookingIdFilter, setBookingIdFilter] = useState(initialView.bookingIdFilter ?? '')
+  // Groups expanded in the loaded data; the URL only lists expanded groups when they differ
+  const defaultExpandedIdsRef = useRef([])
+  const { preferences, updatePreferences, resetPreferences } = usePreferences('scheduler.preferences', DEFAULT_PREFERENCES, PREFERENCE_VALIDATORS)
+  const filters = useMemo(() => ({ ...DEFAULT_FILTERS, ...preferences.filters }), [preferences.filters])
   const [resources, setResources] = useState([])
   const [bookings, setBookings] = useState([])
   const [resourcesLoaded, setResourcesLoaded] = useState(false)
   const [bookingsLoaded, setBookingsLoaded] = useState(false)
 
-  const handleBookingCreate = (bookingData) => {
-    const newBooking = {
-      id: bookings.length + 1,
-      ...bookingData
+  const [toast, setToast] = useState(null)
+  const history = useCommandHistory()
+  const { undo, redo } = history
+
+  // Mirror of the loaded bookings, so undo and redo act on a booking's latest state
+  const bookingsRef = useRef(bookings)
+  bookingsRef.current = bookings
+
+  // Undoing a delete or a create re-creates the booking under a new id; older commands
+  // still refer to the original id, so they look it up through these aliases
+  const idAliasesRef = useRef(new Map())
+  const resolveId = (id) => {
+    let current = id
+    // Stop on a cycle rather than loop forever if ids were ever reissued
+    const visited = new Set([current])
+    while (idAliasesRef.current.has(current)) {
+      const next = idAliasesRef.current.get(current)
+      if (visited.has(next)) break
+      visited.add(next)
+      current = next
+    }
+    return current
+  }
+  const findBooking = (id) => {
+    const booking = bookingsRef.current.find(b => b.id === resolveId(id))
+    if (!booking) throw new Error(`Booking ${id} is no longer loaded`)
+    return booking
+  }
+
+  // Booking mutations. Failures are rolled back and rethrown, so undo and redo can tell
+  // whether they were applied.
+  const createBooking = async (bookingData) => {
+    const created = await dataProvider.createBooking(bookingData)
+    setBookings(prev => [...prev, created])
+    return created
+  }
+
+  // Apply changes optimistically so the grid responds immediately, and roll back on failure
+  const updateBooking = async (booking, changes) => {
+    setBookings(prev => prev.map(b => b.id === booking.id ? { ...b, ...changes } : b))
+
+    try {
+      const updated = await dataProvider.updateBooking(booking.id, changes)
+      setBookings(prev => prev.map(b => b.id === booking.id ? { ...b, ...updated } : b))
+      return updated
+    } catch (err) {
+      setBookings(prev => prev.map(b => b.id === booking.id ? booking : b))
+      throw err
+    }
+  }
+
+  const deleteBooking = async (booking) => {
+    setBookings(prev => prev.filter(b => b.id !== booking.id))
+
+    try {
+      await dataProvider.deleteBooking(booking.id)
+    } catch (err) {
+      setBookings(prev => [...prev, booking])
+      throw err
+    }
+  }
+
+  // Bring back deleted bookings; the provider may assign them new ids
+  const restoreBookings = async (removed) => {
+    for (const booking of removed) {
+      const { id, ...data } = booking
+      const restored = await createBooking(data)
+      if (restored.id !== id) idAliasesRef.current.set(id, restored.id)
+    }
+  }
+
+  const removeBookings = async (ids) => {
+    for (const id of ids) {
+      await deleteBooking(findBooking(id))
+    }
+  }
+
+  // Each toast gets its own id so repeating the same action restarts its timer
+  const showToast = useCallback((message, action) => {
+    setToast({ id: Date.now(), message, action, actionLabel: action === 'undo' ? 'Undo' : 'Redo' })
+  }, [])
+
+  const recordCommand = (command) => {
+    history.record(command)
+    showToast(command.label, 'undo')
+  }
+
+  const recordUpdate = (booking, changes, label) => {
+    // Only the fields that changed are restored, so later edits to other fields survive an undo.
+    // Fields the booking didn't have are cleared with null, which survives JSON unlike undefined.
+    const previous = Object.fromEntries(Object.keys(changes).map(key => [key, booking[key] ?? null]))
+    recordCommand({
+      label,
+      undo: () => updateBooking(findBooking(booking.id), previous),
+      redo: () => updateBooking(findBooking(booking.id), changes)
+    })
+  }
+
+  const recordCreate = (created, label) => {
+    const ids = created.map(b => b.id)
+    recordCommand({
+      label,
+      undo: async () => {
+        // Keep the latest state so a redo brings back any edits made since
+        created.splice(0, created.length, ...ids.map(findBooking))
+        await removeBookings(ids)
+      },
+      redo: () => restoreBookings(created)
+    })
+  }
+
+  const handleUndo = useCallback(async () => {
+    const command = await undo()
+    if (command) showToast(`${command.label} undone`, 'redo')
+  }, [undo, showToast])
+
+  const handleRedo = useCallback(async () => {
+    const command = await redo()
+    if (command) showToast(command.label, 'undo')
+  }, [redo, showToast])
+
+  const handleToastAction = () => {
+    if (toast?.action === 'undo') handleUndo()
+    if (toast?.action === 'redo') handleRedo()
+    setToast(null)
+  }
+
+  const dismissToast = useCallback(() => setToast(null), [])
+
+  // Bookings of a group booking arrive one call per room; they are undone together
+  const pendingGroupsRef = useRef(new Map())
+
+  const handleBookingCreate = async (bookingData) => {
+    let created = null
+    try {
+      created = await createBooking(bookingData)
+    } catch (err) {
+      console.error('Failed to create booking', err)
+    }
+
+    const { groupId, groupSize } = bookingData
+    if (!groupId) {
+      if (created) recordCreate([created], 'Booking created')
+      return
+    }
+
+    const group = pendingGroupsRef.current.get(groupId) || { settled: 0, created: [] }
+    group.settled++
+    if (created) group.created.push(created)
+    pendingGroupsRef.current.set(groupId, group)
+    if (group.settled < groupSize) return
+
+    pendingGroupsRef.current.delete(groupId)
+    if (group.created.length) recordCreate(group.created, `${group.created.length} bookings created`)
+  }
+
+  const handleBookingUpdate = async (booking, changes) => {
+    try {
+      await updateBooking(booking, changes)
+      recordUpdate(booking, changes, changes.status === 'cancelled' ? 'Booking cancelled' : 'Booking updated')
+    } catch (err) {
+      console.error('Failed to update booking', err)
+    }
+  }
+
+  const handleBookingDelete = async (booking) => {
+    try {
+      await deleteBooking(booking)
+      const removed = [booking]
+      recordCommand({
+        label: 'Booking deleted',
+        undo: () => restoreBookings(removed),
+        redo: async () => {
+          removed.splice(0, 1, findBooking(booking.id))
+          await removeBookings([booking.id])
+        }
+      })
+    } catch (err) {
+      console.error('Failed to delete booking', err)
+    }
+  }
+
+  const handleBookingMove = async (booking, { resourceId, startDate, endDate }) => {
+    try {
+      await updateBooking(booking, { resourceId, startDate, endDate })
+      recordUpdate(booking, { resourceId, startDate, endDate }, 'Booking moved')
+    } catch (err) {
+      console.error('Failed to move booking', err)
+    }
+  }
+
+  const handleBookingResize = async (booking, { startDate, endDate }) => {
+    try {
+      await updateBooking(booking, { startDate, endDate })
+      recordUpdate(booking, { startDate, endDate }, 'Booking resized')
+    } catch (err) {
+      console.error('Failed to resize booking', err)
     }
-    setBookings(prev => [...prev, newBooking])
   }
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
   useEffect(() => {
-    let cancelled = false
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const key = e.key.toLowerCase()
+      if (key !== 'z' && key !== 'y') return
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
 
-    async function loadData() {
-      try {
-        const resourcesRequest = fetch(
-          'https://aperfectstay.ai/api/aps-pms/apts/?user=6351746143092736&start=2026-01-20'
-        )
+      e.preventDefault()
+      if (key === 'y' || e.shiftKey) {
+        handleRedo()
+      } else {
+        handleUndo()
+      }
+    }
 
-        const bookingsRequest = fetch(
-          'https://aperfectstay.ai/api/aps-pms/reservations/?user=6351746143092736&start=2026-01-20&end=2026-02-20'
-        )
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [handleUndo, handleRedo])
 
-        const [resourcesRes, bookingsRes] = await Promise.all([
-          resourcesRequest,
-          bookingsRequest
-        ])
+  // Resources don't depend on the visible window, so they are loaded once with the initial view.
+  // A shared link wins over the groups this browser last had expanded.
+  const initialLoadRef = useRef({ startDate, expandedIds: initialView.expandedIds ?? preferences.expandedIds })
 
-        const resourcesJson = await resourcesRes.json()
-        const bookingsJson = await bookingsRes.json()
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadResources() {
+      try {
+        const { startDate, expandedIds } = initialLoadRef.current
+        const loadedResources = await dataProvider.loadResources({ start: startDate })
 
         if (cancelled) return
 
-        const normalizedBookingData =
-           bookingsJson.data.reservations?.map(parent => ({
-            ...parent,
-            startDate: dayjs(parent.start).format('YYYY-MM-DD'),
-            endDate: dayjs(parent.end).format('YYYY-MM-DD'),
-            name: 'Room Booking',
-            notes: 'Sample booking for Room-1',
-            resourceId: parent?.booking_details?.apartment_id
-          })) || []
-          
-        console.log("Normalized resources:", resourcesJson?.data?.apt_build_details)
-        console.log("bookingData:", normalizedBookingData)
-        
-        setResources(resourcesJson?.data?.apt_build_details || [])
+        defaultExpandedIdsRef.current = loadedResources.filter(group => group.expanded).map(group => group.id)
+        setResources(expandedIds ? applyExpandedGroups(loadedResources, expandedIds) : loadedResources)
         setResourcesLoaded(true)
-
-        setBookings(normalizedBookingData)
-        setBookingsLoaded(true)
       } catch (err) {
-        console.error('Failed to load scheduler data', err)
+        console.error('Failed to load scheduler resources', err)
       }
     }
 
-    loadData()
+    loadResources()
 
     return () => {
       cancelled = true
     }
   }, [])
 
+  // The scheduler asks for each date window it renders; slices are merged into what's loaded
+  const handleRangeRequest = useCallback(async (start, end) => {
+    try {
+      const rangeBookings = await dataProvider.loadBookings({ start, end })
+      setBookings(prev => mergeBookings(prev, rangeBookings))
+      setBookingsLoaded(true)
+    } catch (err) {
+      console.error('Failed to load scheduler bookings', err)
+    }
+  }, [])
+
+  const handleResourcesChange = (nextResources) => {
+    setResources(nextResources)
+    updatePreferences({ expandedIds: nextResources.filter(group => group.expanded).map(group => group.id) })
+  }
+
+  const handleSettingsReset = () => {
+    resetPreferences()
+    setResources(prev => applyExpandedGroups(prev, defaultExpandedIdsRef.current))
+  }
+
+  // Keep the query string in step with the view so it survives a reload and can be shared
+  useEffect(() => {
+    if (!resourcesLoaded) return
+
+    const expandedIds = resources.filter(group => group.expanded).map(group => group.id)
+    const defaultExpandedIds = defaultExpandedIdsRef.current
+    const isDefaultExpanded = expandedIds.length === defaultExpandedIds.length &&
+      expandedIds.every(id => defaultExpandedIds.includes(id))
+
+    const query = serializeViewState({
+      startDate: startDate === today ? null : startDate,
+      zoom,
+      searchTerm,
+      bookingIdFilter,
+      expandedIds: isDefaultExpanded ? null : expandedIds
+    })
+
+    if (query !== searchParams.toString()) {
+      router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false })
+    }
+  }, [resourcesLoaded, resources, startDate, today, zoom, searchTerm, bookingIdFilter, pathname, router, searchParams])
+
   const validBookings = useMemo(() => {
     if (!resourcesLoaded) return []
 
@@ -105,13 +375,55 @@ export default function Home() {
             resources={resources}
             bookings={validBookings}
             onBookingCreate={handleBookingCreate}
-            onResourcesChange={setResources}
-            daysToShow={90}
-            cellWidth={120}
-            rowHeight={60}
+            onBookingUpdate={handleBookingUpdate}
+            onBookingDelete={handleBookingDelete}
+            onBookingMove={handleBookingMove}
+            onBookingResize={handleBookingResize}
+            onResourcesChange={handleResourcesChange}
+            startDate={startDate}
+            onStartDateChange={setStartDate}
+            zoom={zoom}
+            onZoomChange={setZoom}
+            searchTerm={searchTerm}
+            onSearchTermChange={setSearchTerm}
+            bookingIdFilter={bookingIdFilter}
+            onBookingIdFilterChange={setBookingIdFilter}
+            onRangeRequest={handleRangeRequest}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            canUndo={history.canUndo}
+            canRedo={history.canRedo}
+            undoLabel={history.undoLabel}
+            redoLabel={history.redoLabel}
+            filters={filters}
+            onFiltersChange={(nextFilters) => updatePreferences({ filters: nextFilters })}
+            onSettingsChange={updatePreferences}
+            onSettingsReset={handleSettingsReset}
+            daysToShow={preferences.daysToShow}
+            cellWidth={preferences.cellWidth}
+            rowHeight={preferences.rowHeight}
           />
         )}
       </div>
+
+      {toast && (
+        <Toast
+          key={toast.id}
+          message={toast.message}
+          actionLabel={toast.actionLabel}
+          onAction={handleToastAction}
+          onDismiss={dismissToast}
+        />
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
+
+// useSearchParams needs a Suspense boundary so the page can still be prerendered
+export default function Page() {
+  return (
+    <Suspense>
+      <Home />
+    </Suspense>
+  )
+}
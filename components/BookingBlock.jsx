@@ -104,8 +104,11 @@
 
 // export default BookingBlock
 
-import dayjs from 'dayjs'
-import { getDateIndex, daysBetween } from '@/utils/dateUtils'
+import { getBookingSpan } from '@/utils/gridUtils'
+import { getBookingDetails } from '@/utils/bubbleParser'
+import useHoverIntent from '@/hooks/useHoverIntent'
+import { isTouchPointer, watchBookingPress, watchPointerGesture, LONG_PRESS_MS, TOUCH_SLOP_PX } from '@/utils/pointerUtils'
+import BookingBubble from './BookingBubble'
 
 /**
  * BookingBlock - Renders an existing booking as an absolute-positioned block
@@ -115,7 +118,12 @@ import { getDateIndex, daysBetween } from '@/utils/dateUtils'
  * @param {number} props.cellWidth - Width of each date cell
  * @param {Function} props.onBookingClick - Handler for booking click events
  * @param {Function} props.onBookingDragStart - Handler for booking drag start
+ * @param {Function} props.onBookingResizeStart - Handler for resize start, called with (booking, 'start' | 'end', event)
+ * @param {number} props.lane - Stacked lane index when bookings overlap
+ * @param {number} props.laneHeight - Height of a single lane in pixels
+ * @param {boolean} props.isConflict - Whether this booking is overbooked
  * @param {boolean} props.isDragging - Whether this booking is being dragged
+ * @param {boolean} props.hotelMode - Draw the bar from the middle of the check-in day to the middle of the checkout day
  * @param {Object} props.dragOffset - Drag offset {x, y}
  */
 const BookingBlock = ({ 
@@ -124,118 +132,122 @@ const BookingBlock = ({
   cellWidth = 100, 
   onBookingClick, 
   onBookingDragStart,
+  onBookingResizeStart,
+  lane = 0,
+  laneHeight = 60,
+  isConflict = false,
   isDragging = false,
+  hotelMode = false,
   dragOffset = { x: 0, y: 0 }
 }) => {
-  // Subtract 1 day from endDate since checkout date should not be included
-  const displayEndDate = dayjs(booking.endDate).subtract(1, 'day').format('YYYY-MM-DD')
+  const bubble = useHoverIntent()
   
-  const startIndex = getDateIndex(booking.startDate, dates)
-  const endIndex = getDateIndex(displayEndDate, dates)
+  // Visible portion of the bar; checkout is exclusive, or a half day in hotel mode
+  const span = getBookingSpan(booking, dates, cellWidth, hotelMode)
+  if (!span) return null
   
-  // Only hide if booking doesn't overlap with visible range at all
-  // Show booking if: starts in range OR ends in range OR spans entire range
-  const bookingStartsBeforeRange = startIndex === -1 && booking.startDate < dates[0]
-  const bookingEndsAfterRange = endIndex === -1 && displayEndDate > dates[dates.length - 1]
-  const bookingSpansEntireRange = bookingStartsBeforeRange && bookingEndsAfterRange
-  const bookingOverlapsRange = startIndex !== -1 || endIndex !== -1 || bookingSpansEntireRange
+  const left = span.firstIndex * cellWidth + span.left
+  const { width, startVisible, endVisible } = span
   
-  if (!bookingOverlapsRange) return null
-  
-  // Calculate position and width for visible portion
-  const visibleStartIndex = Math.max(0, startIndex === -1 ? 0 : startIndex)
-  const visibleEndIndex = Math.min(dates.length - 1, endIndex === -1 ? dates.length - 1 : endIndex)
-  
-  const left = visibleStartIndex * cellWidth
-  const span = visibleEndIndex - visibleStartIndex + 1
-  const width = span * cellWidth
-  
-  const handleMouseDown = (e) => {
-    e.preventDefault()
+  const handlePointerDown = (e) => {
+    // Touches keep their default so a finger can still scroll from a booking
+    if (!isTouchPointer(e)) e.preventDefault()
     e.stopPropagation()
+    bubble.close()
     
-    // Start drag after a small delay to distinguish from click
-    const startTime = Date.now()
-    const startPos = { x: e.clientX, y: e.clientY }
-    
-    const handleMouseMove = (moveEvent) => {
-      const timeDiff = Date.now() - startTime
-      const distance = Math.sqrt(
-        Math.pow(moveEvent.clientX - startPos.x, 2) + 
-        Math.pow(moveEvent.clientY - startPos.y, 2)
-      )
-      
-      // Start drag if moved more than 5px or held for more than 200ms
-      if (distance > 5 || timeDiff > 200) {
-        document.removeEventListener('mousemove', handleMouseMove)
-        document.removeEventListener('mouseup', handleMouseUp)
-        onBookingDragStart?.(booking, e)
-      }
-    }
+    watchBookingPress(e, {
+      onDragStart: (downEvent) => onBookingDragStart?.(booking, downEvent),
+      onClick: () => onBookingClick?.(booking)
+    })
+  }
+  
+  const handleResizePointerDown = (edge) => (e) => {
+    e.stopPropagation()
     
-    const handleMouseUp = () => {
-      document.removeEventListener('mousemove', handleMouseMove)
-      document.removeEventListener('mouseup', handleMouseUp)
-      
-      // If no drag started, treat as click
-      const timeDiff = Date.now() - startTime
-      if (timeDiff < 200) {
-        onBookingClick?.(booking)
-      }
+    if (isTouchPointer(e)) {
+      watchPointerGesture(e, {
+        holdDelay: LONG_PRESS_MS,
+        moveThreshold: TOUCH_SLOP_PX,
+        onHold: () => onBookingResizeStart?.(booking, edge, e)
+      })
+      return
     }
     
-    document.addEventListener('mousemove', handleMouseMove)
-    document.addEventListener('mouseup', handleMouseUp)
+    e.preventDefault()
+    onBookingResizeStart?.(booking, edge, e)
   }
   
   // Get background color from booking data or use default
   const backgroundColor = booking.backColor || '#40c970'
   const borderColor = booking.backColor || '#40c970'
   
-  // Parse bubbleHtml to check for Lead_Source and is_left
-  let bubbleData = {}
-  try {
-    if (booking.bubbleHtml) {
-      // Convert Python dict string to JSON format
-      const jsonStr = booking.bubbleHtml.replace(/'/g, '"')
-      bubbleData = JSON.parse(jsonStr)
-    }
-  } catch (e) {
-    // If parsing fails, bubbleData remains empty object
-  }
-  
-  // Determine if we should show Lead_Source icon and its position
-  const shouldShowIcon = booking.Lead_Source_icon === "true" && bubbleData.Lead_Source
-  const showOnLeft = bubbleData.is_left === "true" || bubbleData.is_left === true
+  // Lead_Source icon and its position come from the parsed bubbleHtml details
+  const details = getBookingDetails(booking)
+  const shouldShowIcon = booking.Lead_Source_icon === "true" && details.leadSource
+  const showOnLeft = details.isLeft
   
   return (
-    <div
-      className={`absolute top-1 bottom-1 border rounded text-white text-xs flex items-center justify-start font-medium shadow-md z-20 cursor-pointer transition-all ${
-        isDragging 
-          ? 'opacity-75 shadow-lg transform scale-105' 
-          : 'hover:shadow-lg'
-      }`}
-      style={{
-        left: `${left + dragOffset.x}px`,
-        top: `${1 + dragOffset.y}px`,
-        width: `${width}px`,
-        height: '50px',
-        backgroundColor: isDragging ? `${backgroundColor}99` : backgroundColor,
-        borderColor: borderColor,
-        transform: isDragging ? 'rotate(2deg)' : 'none',
-        pointerEvents: isDragging ? 'none' : 'auto'
-      }}
-      title={`${booking.text || `Booking ${booking.id}`}: ${booking.startDate} to ${booking.endDate} (checkout)`}
-      onMouseDown={handleMouseDown}
-    >
-      {shouldShowIcon && showOnLeft && (
-        <img src={bubbleData.Lead_Source} alt="Lead Source" className="w-4 h-4 mx-1" />
-      )}
-      <span className="truncate px-2">{booking?.text || `Booking ${booking.id}`}</span>
-      {shouldShowIcon && !showOnLeft && (
-        <img src={bubbleData.Lead_Source} alt="Lead Source" className="w-4 h-4 mx-1" />
+    <>
+      <div
+        className={`absolute top-1 bottom-1 border rounded text-white text-xs flex items-center justify-start font-medium shadow-md z-20 cursor-pointer transition-all ${
+          isDragging 
+            ? 'opacity-75 shadow-lg transform scale-105' 
+            : 'hover:shadow-lg'
+        } ${isConflict ? 'ring-2 ring-red-500' : ''}`}
+        style={{
+          left: `${left + dragOffset.x}px`,
+          top: `${lane * laneHeight + 1 + dragOffset.y}px`,
+          width: `${width}px`,
+          height: `${laneHeight - 10}px`,
+          backgroundColor: isDragging ? `${backgroundColor}99` : backgroundColor,
+          borderColor: borderColor,
+          transform: isDragging ? 'rotate(2deg)' : 'none',
+          pointerEvents: isDragging ? 'none' : 'auto'
+        }}
+        aria-label={`${booking.text || `Booking ${booking.id}`}: ${booking.startDate} to ${booking.endDate} (checkout)`}
+        onPointerDown={handlePointerDown}
+        onPointerEnter={isDragging ? undefined : bubble.onPointerEnter}
+        onPointerLeave={bubble.onPointerLeave}
+      >
+        {/* Resize handles - only on edges that fall inside the visible range */}
+        {onBookingResizeStart && !isDragging && startVisible && (
+          <div
+            className="absolute left-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-l hover:bg-black/20"
+            onPointerDown={handleResizePointerDown('start')}
+          />
+        )}
+        {onBookingResizeStart && !isDragging && endVisible && (
+          <div
+            className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-r hover:bg-black/20"
+            onPointerDown={handleResizePointerDown('end')}
+          />
+        )}
+        {shouldShowIcon && showOnLeft && (
+          <img src={details.leadSource} alt="Lead Source" className="w-4 h-4 mx-1" />
+        )}
+        <span className="truncate px-2">{booking?.text || `Booking ${booking.id}`}</span>
+        {shouldShowIcon && !showOnLeft && (
+          <img src={details.leadSource} alt="Lead Source" className="w-4 h-4 mx-1" />
+        )}
+        {isConflict && (
+          <span
+            className="absolute -top-1.5 -right-1.5 w-4 h-4 rounded-full bg-red-600 text-white text-[10px] leading-4 text-center font-bold shadow"
+            title="Overbooked: overlaps another booking in this room"
+          >
+            !
+          </span>
+        )}
+      </div>
+      {!isDragging && (
+        <BookingBubble
+          booking={booking}
+          anchorRect={bubble.anchorRect}
+          onMouseEnter={bubble.keepOpen}
+          onMouseLeave={bubble.onPointerLeave}
+          onClose={bubble.close}
+        />
       )}
-    </div>
+    </>
   )
 }
 
@@ -0,0 +1,135 @@
+import React, { useLayoutEffect, useRef, useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import dayjs from 'dayjs'
+import { getBookingDetails } from '../utils/bubbleParser'
+import { nightsBetween } from '../utils/dateUtils'
+
+const VIEWPORT_MARGIN = 8
+const ANCHOR_GAP = 6
+
+const formatAmount = (value) => {
+  if (value === null) return '—'
+  return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+}
+
+const formatStatus = (value) => {
+  if (!value) return '—'
+  return value.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())
+}
+
+/**
+ * Place the card below the anchor, flipping above when there is no room,
+ * and clamp it so it never leaves the viewport
+ */
+const getPosition = (anchorRect, width, height) => {
+  const viewportWidth = window.innerWidth
+  const viewportHeight = window.innerHeight
+
+  let top = anchorRect.bottom + ANCHOR_GAP
+  if (top + height > viewportHeight - VIEWPORT_MARGIN) {
+    top = anchorRect.top - height - ANCHOR_GAP
+  }
+  top = Math.max(VIEWPORT_MARGIN, Math.min(top, viewportHeight - height - VIEWPORT_MARGIN))
+
+  // Long bars can extend past the grid edges, so align with the visible part of the bar
+  const visibleLeft = Math.max(anchorRect.left, 0)
+  const left = Math.max(VIEWPORT_MARGIN, Math.min(visibleLeft, viewportWidth - width - VIEWPORT_MARGIN))
+
+  return { top, left }
+}
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-4">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-gray-900 text-right truncate">{children}</span>
+  </div>
+)
+
+/**
+ * BookingBubble - DayPilot-style hover card with the booking's bubbleHtml details
+ * Rendered in a portal with fixed positioning so it is not clipped by the virtualized grid.
+ * @param {Object} props
+ * @param {Object} props.booking - Booking to describe
+ * @param {DOMRect} props.anchorRect - Bounding rect of the hovered booking bar
+ * @param {Function} props.onMouseEnter - Keeps the bubble open while hovered
+ * @param {Function} props.onMouseLeave - Schedules the bubble to close
+ * @param {Function} props.onClose - Closes the bubble (e.g. when the grid scrolls)
+ */
+const BookingBubble = ({ booking, anchorRect, onMouseEnter, onMouseLeave, onClose }) => {
+  const bubbleRef = useRef(null)
+  const [position, setPosition] = useState(null)
+
+  useLayoutEffect(() => {
+    if (!bubbleRef.current || !anchorRect) return
+    const { width, height } = bubbleRef.current.getBoundingClientRect()
+    setPosition(getPosition(anchorRect, width, height))
+  }, [anchorRect])
+
+  // The anchor moves when anything scrolls, so close instead of drifting away from it
+  useEffect(() => {
+    if (!anchorRect) return
+    window.addEventListener('scroll', onClose, true)
+    return () => window.removeEventListener('scroll', onClose, true)
+  }, [anchorRect, onClose])
+
+  if (!anchorRect || typeof document === 'undefined') return null
+
+  const details = getBookingDetails(booking)
+  const nights = details.nights ?? nightsBetween(booking.startDate, booking.endDate)
+  const guests = [
+    details.adults !== null && `${details.adults} ${details.adults === 1 ? 'adult' : 'adults'}`,
+    details.children ? `${details.children} ${details.children === 1 ? 'child' : 'children'}` : null
+  ].filter(Boolean).join(', ')
+
+  return createPortal(
+    <div
+      ref={bubbleRef}
+      role="tooltip"
+      className="fixed z-50 w-72 bg-white border border-gray-200 rounded-lg shadow-xl text-xs p-3 space-y-2"
+      style={{
+        top: position?.top ?? 0,
+        left: position?.left ?? 0,
+        visibility: position ? 'visible' : 'hidden'
+      }}
+      onMouseEnter={onMouseEnter}
+      onMouseLeave={onMouseLeave}
+    >
+      <div>
+        <div className="text-sm font-semibold text-gray-900 truncate">
+          {details.guestName || booking.text || booking.name || `Booking ${booking.id}`}
+        </div>
+        <div className="text-gray-600">
+          {dayjs(booking.startDate).format('MMM D')} – {dayjs(booking.endDate).format('MMM D, YYYY')}
+          <span className="ml-1">({nights} {nights === 1 ? 'night' : 'nights'})</span>
+        </div>
+      </div>
+
+      <div className="space-y-1 border-t border-gray-100 pt-2">
+        <Row label="Price">{formatAmount(details.price)}</Row>
+        <Row label="Paid">{formatAmount(details.paid)}</Row>
+        <Row label="Nightly rate">{formatAmount(details.nightlyRate)}</Row>
+      </div>
+
+      <div className="space-y-1 border-t border-gray-100 pt-2">
+        <Row label="Guests">{guests || '—'}</Row>
+        <Row label="Phone">{details.contact.phone || '—'}</Row>
+        <Row label="Email">{details.contact.email || '—'}</Row>
+      </div>
+
+      <div className="space-y-1 border-t border-gray-100 pt-2">
+        <Row label="Channel">{details.salesChannel || booking.sales_channel || '—'}</Row>
+        <Row label="Check-in">{formatStatus(details.statuses.checkin)}</Row>
+        <Row label="Cancellation">{details.cancellationPolicy || '—'}</Row>
+      </div>
+
+      {details.parseError && (
+        <div className="text-red-600 border-t border-gray-100 pt-2">
+          Some booking details could not be read.
+        </div>
+      )}
+    </div>,
+    document.body
+  )
+}
+
+export default BookingBubble
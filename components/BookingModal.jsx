@@ -1,59 +1,149 @@
 import React, { useState, useEffect } from 'react'
-import { daysBetween } from '../utils/dateUtils'
+import { addDays, nightsBetween } from '../utils/dateUtils'
+import { isBookingCancelled } from '../utils/bookingUtils'
 
 /**
  * BookingModal - Modal dialog for creating/editing bookings
+ *
+ * Dates follow the booking convention: startDate is the check-in day and endDate the
+ * checkout day (exclusive). A new selection covers the nights from its first to its
+ * last selected day, so its checkout is the day after the selection ends.
+ *
+ * A selection spanning several rooms (selection.resourceIds) opens the group booking form:
+ * the guest details are shared and onConfirm receives the chosen resourceIds, one reservation each.
+ *
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is open
- * @param {Object} props.selection - Selection object with resourceId, startDate, endDate
+ * @param {Object} props.selection - Selection object with resourceId, resourceIds, startDate, endDate (last selected day)
  * @param {Object} props.booking - Existing booking object (for editing)
- * @param {Object} props.resource - Resource object for the selected resource
+ * @param {Object} props.resource - Room of the booking or selection, looked up in every room so hidden rows still open
+ * @param {Array} props.rooms - Rooms a booking can be moved to, as { id, name, groupName }
+ * @param {Array} props.splitSegments - All segments of the booking's reservation when it is a split stay
+ * @param {Function} props.onSelectSegment - Handler to switch to editing another segment of the split stay
+ * @param {Function} props.getTurnoverConflict - Returns the booking checking out of a room on a date whose
+ *   cleaning a check-in that day would fall in, called as (resourceId, startDate, bookingId)
+ * @param {boolean} props.blockTurnoverCheckIns - Refuse check-ins during cleaning instead of only warning
  * @param {Function} props.onClose - Handler to close the modal
  * @param {Function} props.onConfirm - Handler to confirm booking creation/update
+ * @param {Function} props.onCancelReservation - Handler to cancel an existing booking
+ * @param {Function} props.onDelete - Handler to delete an existing booking
  */
-const BookingModal = ({ isOpen, selection, booking, resource, onClose, onConfirm }) => {
+const BookingModal = ({
+  isOpen,
+  selection,
+  booking,
+  resource,
+  rooms = [],
+  splitSegments,
+  onSelectSegment,
+  getTurnoverConflict,
+  blockTurnoverCheckIns = false,
+  onClose,
+  onConfirm,
+  onCancelReservation,
+  onDelete
+}) => {
   const [bookingName, setBookingName] = useState('')
   const [notes, setNotes] = useState('')
-  
+  const [startDate, setStartDate] = useState('')
+  const [endDate, setEndDate] = useState('')
+  const [resourceId, setResourceId] = useState('')
+  const [groupRoomIds, setGroupRoomIds] = useState([])
+  const [confirmAction, setConfirmAction] = useState(null)
+
   const isEditing = !!booking
+  const isGroup = !isEditing && (selection?.resourceIds?.length || 0) > 1
   const modalData = booking || selection
-  
+
   useEffect(() => {
+    setConfirmAction(null)
+
     if (isOpen && booking) {
       // Editing existing booking
       setBookingName(booking.text || booking.name || '')
       setNotes(booking.notes || '')
-    } else if (isOpen) {
+      setStartDate(booking.startDate)
+      setEndDate(booking.endDate)
+      setResourceId(booking.resourceId)
+    } else if (isOpen && selection) {
       // Creating new booking
       setBookingName('')
       setNotes('')
+      setStartDate(selection.startDate)
+      setEndDate(addDays(selection.endDate, 1))
+      setResourceId(selection.resourceId)
+      setGroupRoomIds(selection.resourceIds || [selection.resourceId])
     }
-  }, [isOpen, booking])
-  
+  }, [isOpen, booking, selection])
+
   if (!isOpen || !modalData || !resource) return null
-  
-  const dayCount = daysBetween(modalData.startDate, modalData.endDate)
-  
+
+  const nightCount = startDate && endDate ? nightsBetween(startDate, endDate) : 0
+  const datesValid = nightCount > 0
+  const isCancelled = isEditing && isBookingCancelled(booking)
+
+  // Rooms the stay would check in to before they are cleaned after the previous checkout
+  const turnoverRoomIds = startDate && getTurnoverConflict
+    ? (isGroup ? groupRoomIds : [resourceId]).filter(id => getTurnoverConflict(id, startDate, booking?.id))
+    : []
+  // An existing early check-in can still be edited as long as its room and check-in stay the same
+  const isTurnoverBlocked = blockTurnoverCheckIns && turnoverRoomIds.length > 0 &&
+    (!isEditing || startDate !== booking.startDate || resourceId !== booking.resourceId)
+
+  const canConfirm = bookingName.trim() && datesValid && (!isGroup || groupRoomIds.length > 0) && !isTurnoverBlocked
+
   const handleConfirm = () => {
-    if (bookingName.trim()) {
+    if (!canConfirm) return
+
+    if (isGroup) {
+      // Shared guest details; one reservation per chosen room, in selection order
+      onConfirm({
+        resourceIds: selection.resourceIds.filter(id => groupRoomIds.includes(id)),
+        startDate,
+        endDate,
+        text: bookingName,
+        notes
+      })
+    } else {
       onConfirm({
         ...(booking || {}), // Include existing booking data if editing
-        resourceId: modalData.resourceId,
-        startDate: modalData.startDate,
-        endDate: modalData.endDate,
+        resourceId,
+        startDate,
+        endDate,
         text: bookingName,  // Use 'text' field instead of 'name'
         notes: notes
       })
-      onClose()
     }
+    onClose()
+  }
+
+  const toggleGroupRoom = (roomId) => {
+    setGroupRoomIds(prev => prev.includes(roomId) ? prev.filter(id => id !== roomId) : [...prev, roomId])
+  }
+
+  const handleConfirmAction = () => {
+    if (confirmAction === 'cancel') onCancelReservation?.(booking)
+    if (confirmAction === 'delete') onDelete?.(booking)
+    onClose()
   }
-  
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose()
     }
   }
-  
+
+  // Group rooms by block for the room picker
+  const roomGroups = rooms.reduce((groups, room) => {
+    const group = groups.find(g => g.name === room.groupName)
+    if (group) {
+      group.rooms.push(room)
+    } else {
+      groups.push({ name: room.groupName, rooms: [room] })
+    }
+    return groups
+  }, [])
+
   return (
     <div
       className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
@@ -64,37 +154,157 @@ const BookingModal = ({ isOpen, selection, booking, resource, onClose, onConfirm
         onClick={(e) => e.stopPropagation()}
       >
         {/* Header */}
-        <div className="px-6 py-4 border-b border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
           <h2 className="text-xl font-semibold text-gray-900">
-            {isEditing ? 'Edit Booking' : 'Create Booking'}
+            {isEditing ? 'Edit Booking' : isGroup ? 'Create Group Booking' : 'Create Booking'}
           </h2>
+          {isEditing && booking.groupId && (
+            <span className="px-2 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded">
+              Group booking{booking.groupSize ? ` · ${booking.groupSize} rooms` : ''}
+            </span>
+          )}
+          {isCancelled && (
+            <span className="px-2 py-1 text-xs font-medium text-red-700 bg-red-50 rounded">
+              Cancelled
+            </span>
+          )}
         </div>
-        
+
         {/* Content */}
         <div className="px-6 py-4 space-y-4">
           {/* Resource info */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              Resource
+              {isGroup ? `Rooms (${groupRoomIds.length} of ${selection.resourceIds.length})` : 'Resource'}
             </label>
-            <div className="text-gray-900 font-medium">{resource.name}</div>
+            {isGroup ? (
+              <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+                {selection.resourceIds.map(roomId => {
+                  const room = rooms.find(r => r.id === roomId)
+                  return (
+                    <label key={roomId} className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-900">
+                      <input
+                        type="checkbox"
+                        checked={groupRoomIds.includes(roomId)}
+                        onChange={() => toggleGroupRoom(roomId)}
+                        className="rounded border-gray-300"
+                      />
+                      <span className="truncate">{room?.name || roomId}</span>
+                      {room?.groupName && <span className="ml-auto text-xs text-gray-500 truncate">{room.groupName}</span>}
+                    </label>
+                  )
+                })}
+              </div>
+            ) : isEditing && rooms.length > 0 ? (
+              <select
+                value={resourceId}
+                onChange={(e) => setResourceId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {roomGroups.map(group => (
+                  <optgroup key={group.name} label={group.name}>
+                    {group.rooms.map(room => (
+                      <option key={room.id} value={room.id}>{room.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            ) : (
+              <div className="text-gray-900 font-medium">{resource.name}</div>
+            )}
           </div>
-          
-          {/* Date range info */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Date Range
-            </label>
-            <div className="text-gray-900">
-              {modalData.startDate} to {modalData.endDate}
-              <span className="text-gray-500 ml-2">({dayCount} {dayCount === 1 ? 'day' : 'days'})</span>
+
+          {/* Date range */}
+          {isEditing ? (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Check-in
+                </label>
+                <input
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Checkout
+                </label>
+                <input
+                  type="date"
+                  value={endDate}
+                  min={startDate ? addDays(startDate, 1) : undefined}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div className={`col-span-2 text-sm ${datesValid ? 'text-gray-500' : 'text-red-600'}`}>
+                {datesValid
+                  ? `${nightCount} ${nightCount === 1 ? 'night' : 'nights'}`
+                  : 'Checkout must be after check-in'}
+              </div>
             </div>
-          </div>
-          
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Date Range
+              </label>
+              <div className="text-gray-900">
+                {startDate} to {endDate} (checkout)
+                <span className="text-gray-500 ml-2">({nightCount} {nightCount === 1 ? 'night' : 'nights'})</span>
+              </div>
+            </div>
+          )}
+
+          {turnoverRoomIds.length > 0 && (
+            <div
+              role="alert"
+              className={`px-3 py-2 text-sm rounded-md ${isTurnoverBlocked ? 'text-red-800 bg-red-50' : 'text-amber-800 bg-amber-50'}`}
+            >
+              {isGroup
+                ? `${turnoverRoomIds.map(id => rooms.find(r => r.id === id)?.name || id).join(', ')} will still be cleaned after a checkout at check-in time.`
+                : 'The room will still be cleaned after the previous guest\'s checkout at check-in time.'}
+              {isTurnoverBlocked ? ' Choose another room or date.' : ' Early check-in is not possible.'}
+            </div>
+          )}
+
+          {/* Split stay: every segment of the reservation, in stay order */}
+          {isEditing && splitSegments?.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Split stay ({splitSegments.length} parts)
+              </label>
+              <div className="border border-gray-200 rounded-md divide-y divide-gray-100">
+                {splitSegments.map((segment, index) => {
+                  const isCurrent = segment.id === booking.id
+                  return (
+                    <button
+                      key={segment.id}
+                      type="button"
+                      onClick={() => !isCurrent && onSelectSegment?.(segment)}
+                      aria-current={isCurrent ? 'true' : undefined}
+                      className={`w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left ${
+                        isCurrent ? 'bg-indigo-50 text-indigo-900 font-medium' : 'text-gray-900 hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className="text-xs text-gray-500">{index + 1}.</span>
+                      <span className="truncate">{rooms.find(r => r.id === segment.resourceId)?.name || segment.resourceId}</span>
+                      <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">
+                        {segment.startDate} to {segment.endDate}
+                      </span>
+                    </button>
+                  )
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Booking name */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              Booking Name <span className="text-red-500">*</span>
+              {isGroup ? 'Guest / Group Name' : 'Booking Name'} <span className="text-red-500">*</span>
             </label>
             <input
               type="text"
@@ -105,7 +315,7 @@ const BookingModal = ({ isOpen, selection, booking, resource, onClose, onConfirm
               autoFocus
             />
           </div>
-          
+
           {/* Notes */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -120,27 +330,70 @@ const BookingModal = ({ isOpen, selection, booking, resource, onClose, onConfirm
             />
           </div>
         </div>
-        
+
         {/* Footer */}
-        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
-          <button
-            onClick={onClose}
-            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
-          >
-            Cancel
-          </button>
-          <button
-            onClick={handleConfirm}
-            disabled={!bookingName.trim()}
-            className="px-4 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-          >
-            {isEditing ? 'Update Booking' : 'Create Booking'}
-          </button>
-        </div>
+        {confirmAction ? (
+          <div className="px-6 py-4 border-t border-gray-200 bg-red-50 rounded-b-lg">
+            <p className="text-sm text-red-800 mb-3">
+              {confirmAction === 'cancel'
+                ? 'Cancel this reservation? The room will be released for these dates.'
+                : 'Delete this booking? You can undo this from the toolbar.'}
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setConfirmAction(null)}
+                className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100 transition-colors"
+              >
+                Keep Booking
+              </button>
+              <button
+                onClick={handleConfirmAction}
+                className="px-4 py-2 text-white bg-red-600 rounded-md hover:bg-red-700 transition-colors"
+              >
+                {confirmAction === 'cancel' ? 'Cancel Reservation' : 'Delete Booking'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+            {isEditing && (
+              <div className="mr-auto flex space-x-2">
+                {onCancelReservation && !isCancelled && (
+                  <button
+                    onClick={() => setConfirmAction('cancel')}
+                    className="px-3 py-2 text-sm text-red-700 hover:bg-red-50 rounded-md transition-colors"
+                  >
+                    Cancel Reservation
+                  </button>
+                )}
+                {onDelete && (
+                  <button
+                    onClick={() => setConfirmAction('delete')}
+                    className="px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={!canConfirm}
+              className="px-4 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+            >
+              {isEditing ? 'Update Booking' : isGroup ? `Create ${groupRoomIds.length} Bookings` : 'Create Booking'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
 export default BookingModal
-
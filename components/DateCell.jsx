@@ -8,6 +8,7 @@ const DateCell = memo(({
   date,
   resourceId,
   cellWidth = 100,
+  height = 60,
   isSelected = false,
   isDropTarget = false,
   onMouseDown,
@@ -29,7 +30,7 @@ const DateCell = memo(({
         isDropTarget ? 'bg-green-100 ring-2 ring-green-400' :
         'hover:bg-gray-50'
       }`}
-      style={{ width: cellWidth, minWidth: cellWidth, height: 60 }}
+      style={{ width: cellWidth, minWidth: cellWidth, height }}
       data-date={date}
       data-resource-id={resourceId}
       onMouseDown={handleMouseDown}
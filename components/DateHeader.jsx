@@ -1,15 +1,44 @@
 import React from 'react'
+import dayjs from 'dayjs'
 import { formatDateHeader } from '../utils/dateUtils'
 
 /**
  * DateHeader - Displays date information in the timeline header
+ * Week and month zoom use narrow columns, so they show less: the day initial and number
+ * in week zoom, and only the number of each Monday in month zoom.
  * @param {Object} props
  * @param {string} props.date - Date string in YYYY-MM-DD format
  * @param {number} props.cellWidth - Width of each date cell in pixels
+ * @param {string} props.zoom - Zoom level: 'day', 'week' or 'month'
  */
-const DateHeader = ({ date, cellWidth = 100 }) => {
+const DateHeader = ({ date, cellWidth = 100, zoom = 'day' }) => {
   const formatted = formatDateHeader(date)
   
+  if (zoom !== 'day') {
+    const showNumber = zoom === 'week' || dayjs(date).day() === 1
+
+    return (
+      <div
+        className={`flex flex-col items-center justify-center h-full border-r border-b border-gray-200 bg-gray-50 overflow-visible ${
+          formatted.isToday ? 'bg-blue-50 border-blue-300' : ''
+        }`}
+        style={{ width: `${cellWidth}px`, minWidth: `${cellWidth}px`, flexShrink: 0 }}
+        title={dayjs(date).format('ddd, MMM D, YYYY')}
+      >
+        {zoom === 'week' && (
+          <div className={`text-[10px] leading-none ${formatted.isToday ? 'text-blue-600' : 'text-gray-500'}`}>
+            {formatted.dayName.charAt(0)}
+          </div>
+        )}
+        {showNumber && (
+          <div className={`${zoom === 'week' ? 'text-xs' : 'text-[10px]'} font-semibold leading-tight ${formatted.isToday ? 'text-blue-700' : 'text-gray-900'}`}>
+            {formatted.dayNumber}
+          </div>
+        )}
+      </div>
+    )
+  }
+
   return (
     <div
       className={`flex flex-col items-center justify-center p-2 border-r border-b border-gray-200 bg-gray-50 ${
@@ -31,4 +60,3 @@ const DateHeader = ({ date, cellWidth = 100 }) => {
 }
 
 export default DateHeader
-
@@ -0,0 +1,55 @@
+import React from 'react'
+import dayjs from 'dayjs'
+
+/**
+ * DateNavigator - Toolbar controls for moving the visible timeline window
+ * @param {Object} props
+ * @param {string} props.startDate - First visible date in YYYY-MM-DD format
+ * @param {string} props.endDate - Last visible date in YYYY-MM-DD format
+ * @param {Function} props.onPrevious - Handler to move back one period
+ * @param {Function} props.onNext - Handler to move forward one period
+ * @param {Function} props.onToday - Handler to jump back to today
+ * @param {Function} props.onDateChange - Handler called with a YYYY-MM-DD date to jump to
+ */
+const DateNavigator = ({ startDate, endDate, onPrevious, onNext, onToday, onDateChange }) => {
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={onPrevious}
+        className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+        aria-label="Previous period"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+      </button>
+      <button
+        onClick={onToday}
+        className="px-3 py-2 text-sm text-gray-700 border border-gray-300 hover:bg-gray-100 rounded-lg transition-colors"
+      >
+        Today
+      </button>
+      <button
+        onClick={onNext}
+        className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+        aria-label="Next period"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+      </button>
+      <input
+        type="date"
+        value={startDate}
+        onChange={(e) => e.target.value && onDateChange(e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+        aria-label="Jump to date"
+      />
+      <span className="text-sm text-gray-600 whitespace-nowrap">
+        {dayjs(startDate).format('MMM D')} – {dayjs(endDate).format('MMM D, YYYY')}
+      </span>
+    </div>
+  )
+}
+
+export default DateNavigator
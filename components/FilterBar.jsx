@@ -1,6 +1,26 @@
 import React, { useMemo, useState } from 'react'
+import MultiSelectFilter from './MultiSelectFilter'
+import GuestSearch from './GuestSearch'
+import { BOOKING_FILTERS, hasActiveFilters } from '../utils/filterUtils'
 
-const FilterBar = ({ searchTerm, onSearchChange, onClearFilters, bookings, selectedBookingId, onBookingIdChange }) => {
+const FilterBar = ({
+  searchTerm,
+  onSearchChange,
+  onClearFilters,
+  bookings,
+  rooms,
+  selectedBookingId,
+  onBookingIdChange,
+  onGuestSelect,
+  filters,
+  filterOptions,
+  onFiltersChange,
+  filterMode,
+  onFilterModeChange,
+  hideUnmatchedRooms,
+  onHideUnmatchedRoomsChange,
+  children
+}) => {
   const [showSuggestions, setShowSuggestions] = useState(false)
   
   // Get booking ID suggestions based on input
@@ -84,8 +104,11 @@ const FilterBar = ({ searchTerm, onSearchChange, onClearFilters, bookings, selec
           )}
         </div>
 
+        {/* Guest search: jumps to the booking instead of filtering */}
+        {onGuestSelect && <GuestSearch bookings={bookings} rooms={rooms} onSelect={onGuestSelect} />}
+
         {/* Clear Filters Button */}
-        {(searchTerm || selectedBookingId) && (
+        {(searchTerm || selectedBookingId || hasActiveFilters(filters)) && (
           <button
             onClick={onClearFilters}
             className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
@@ -93,7 +116,56 @@ const FilterBar = ({ searchTerm, onSearchChange, onClearFilters, bookings, selec
             Clear
           </button>
         )}
+
+        {/* Toolbar controls supplied by the scheduler */}
+        {children && (
+          <div className="ml-auto flex items-center gap-4">
+            {children}
+          </div>
+        )}
       </div>
+
+      {/* Booking attribute filters */}
+      {onFiltersChange && (
+        <div className="flex items-center gap-2 mt-3 flex-wrap">
+          {BOOKING_FILTERS.map(filter => (
+            <MultiSelectFilter
+              key={filter.id}
+              label={filter.label}
+              options={filterOptions?.[filter.id]}
+              selected={filters?.[filter.id]}
+              onChange={(values) => onFiltersChange({ ...filters, [filter.id]: values })}
+            />
+          ))}
+          {hasActiveFilters(filters) && (
+            <>
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden ml-2" role="group" aria-label="Non-matching bookings">
+                {[['dim', 'Dim others'], ['hide', 'Hide others']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => onFilterModeChange(mode)}
+                    aria-pressed={filterMode === mode}
+                    className={`px-3 py-1.5 text-sm transition-colors border-r border-gray-300 last:border-r-0 ${
+                      filterMode === mode ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={hideUnmatchedRooms}
+                  onChange={(e) => onHideUnmatchedRoomsChange(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                Hide rooms without matches
+              </label>
+            </>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -1,79 +1,212 @@
 import React from 'react'
+import BookingBubble from './BookingBubble'
+import useHoverIntent from '../hooks/useHoverIntent'
+import { getBookingDetails } from '../utils/bubbleParser'
+import { isBookingCancelled } from '../utils/bookingUtils'
+import { getBookingSpan } from '../utils/gridUtils'
+import { isTouchPointer, watchBookingPress, watchPointerGesture, LONG_PRESS_MS, TOUCH_SLOP_PX } from '../utils/pointerUtils'
+
+// Split stays get a colour of their own, picked from the reservation id, so all their segments match
+const SPLIT_COLOURS = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b', '#14b8a6', '#0ea5e9', '#f97316', '#84cc16']
+
+const getSplitColour = (key) => {
+  const hash = [...String(key)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0)
+  return SPLIT_COLOURS[hash % SPLIT_COLOURS.length]
+}
 
 /**
  * GridBookingCell - Renders booking blocks within MultiGrid cells
  * Uses the same styling logic as BookingBlock but optimized for grid rendering
+ * Overlapping bookings are stacked: `lane` picks the sub-row and `laneHeight` its height.
+ * `isConflict` marks an overbooking; `isTurnoverConflict` a check-in during the cleaning after the previous
+ * guest's checkout. `isFocused` outlines the booking that has keyboard focus.
+ * `isDimmed` fades a booking that doesn't match the active filters; `isHighlighted` pulses a booking
+ * found through the guest search.
+ * `hotelMode` draws the bar from the middle of the check-in day to the middle of the checkout day.
+ * `split` links the segments of a stay split across rooms (see buildSplitGroups): they share a colour,
+ * show connector markers where the stay changes room, and are highlighted together on hover.
  */
 const GridBookingCell = ({ 
+  id,
   booking, 
   dates, 
   cellWidth, 
-  onBookingClick 
+  onBookingClick,
+  onBookingDragStart,
+  onBookingResizeStart,
+  lane = 0,
+  laneHeight = 60,
+  isConflict = false,
+  isTurnoverConflict = false,
+  isDragging = false,
+  isFocused = false,
+  hotelMode = false,
+  isDimmed = false,
+  isHighlighted = false,
+  split,
+  isSplitHighlighted = false,
+  onSplitHover,
+  dragOffset = { x: 0, y: 0 }
 }) => {
-  // Subtract 1 day from endDate since checkout date should not be included
-  const displayEndDate = new Date(new Date(booking.endDate).getTime() - 24 * 60 * 60 * 1000)
-    .toISOString().split('T')[0]
-  
-  const startIdx = dates.indexOf(booking.startDate)
-  const endIdx = dates.indexOf(displayEndDate)
-  
-  // Only hide if booking doesn't overlap with visible range at all
-  // Show booking if: starts in range OR ends in range OR spans entire range
-  const bookingStartsBeforeRange = startIdx === -1 && booking.startDate < dates[0]
-  const bookingEndsAfterRange = endIdx === -1 && displayEndDate > dates[dates.length - 1]
-  const bookingSpansEntireRange = bookingStartsBeforeRange && bookingEndsAfterRange
-  const bookingOverlapsRange = startIdx !== -1 || endIdx !== -1 || bookingSpansEntireRange
-  
-  if (!bookingOverlapsRange) return null
-  
-  // Calculate visible portion
-  const visibleStartIdx = Math.max(0, startIdx === -1 ? 0 : startIdx)
-  const visibleEndIdx = Math.min(dates.length - 1, endIdx === -1 ? dates.length - 1 : endIdx)
-  
-  const duration = visibleEndIdx - visibleStartIdx + 1
-  const width = duration * cellWidth
+  const bubble = useHoverIntent()
 
-  // Get background color from booking data or use default
-  const backgroundColor = booking.backColor || '#40c970'
-  const borderColor = booking.backColor || '#40c970'
-  
-  // Parse bubbleHtml to check for Lead_Source and is_left
-  let bubbleData = {}
-  try {
-    if (booking.bubbleHtml) {
-      const jsonStr = booking.bubbleHtml.replace(/'/g, '"')
-      bubbleData = JSON.parse(jsonStr)
+  // Visible portion of the bar; checkout is exclusive, or a half day in hotel mode
+  const span = getBookingSpan(booking, dates, cellWidth, hotelMode)
+  if (!span) return null
+
+  const { left, width, startVisible, endVisible } = span
+  // Compressed zoom columns are too narrow for the inset and the resize handles
+  const isCompact = cellWidth < 40
+  const canResize = onBookingResizeStart && !isDragging && !isCompact
+
+  const handlePointerDown = (e) => {
+    // Touches keep their default so a finger can still scroll the grid from a booking
+    if (!isTouchPointer(e)) e.preventDefault()
+    e.stopPropagation()
+    bubble.close()
+
+    watchBookingPress(e, {
+      onDragStart: (downEvent) => onBookingDragStart?.(booking, downEvent),
+      onClick: () => onBookingClick?.(booking)
+    })
+  }
+
+  const handleResizePointerDown = (edge) => (e) => {
+    e.stopPropagation()
+
+    if (isTouchPointer(e)) {
+      watchPointerGesture(e, {
+        holdDelay: LONG_PRESS_MS,
+        moveThreshold: TOUCH_SLOP_PX,
+        onHold: () => onBookingResizeStart?.(booking, edge, e)
+      })
+      return
     }
-  } catch (e) {
-    // If parsing fails, bubbleData remains empty object
+
+    e.preventDefault()
+    onBookingResizeStart?.(booking, edge, e)
+  }
+
+  // Get background color from booking data or use default
+  const backgroundColor = split ? getSplitColour(split.key) : booking.backColor || '#40c970'
+  const borderColor = backgroundColor
+  const isFirstSegment = !split || split.index === 0
+  const isLastSegment = !split || split.index === split.count - 1
+
+  const handlePointerEnter = (e) => {
+    bubble.onPointerEnter(e)
+    if (split) onSplitHover?.(split.key)
+  }
+
+  const handlePointerLeave = (e) => {
+    bubble.onPointerLeave(e)
+    if (split) onSplitHover?.(null)
   }
   
-  // Determine if we should show Lead_Source icon and its position
-  const shouldShowIcon = booking.Lead_Source_icon === "true" && bubbleData.Lead_Source
-  const showOnLeft = bubbleData.is_left === "true" || bubbleData.is_left === true
+  // Lead_Source icon and its position come from the parsed bubbleHtml details
+  const details = getBookingDetails(booking)
+  const shouldShowIcon = booking.Lead_Source_icon === "true" && details.leadSource
+  const showOnLeft = details.isLeft
+
+  const bookingLabel = booking?.text || booking?.name || `Booking ${booking.id}`
+  // Cancelled bookings are drawn as ghosted bars
+  const isCancelled = isBookingCancelled(booking)
 
   return (
-    <div
-      className="absolute top-1 left-1 border rounded text-white text-xs flex items-center justify-start font-medium shadow-md z-10 cursor-pointer hover:shadow-lg"
-      style={{ 
-        width: `${width - 2}px`,
-        height: '50px',
-        backgroundColor: backgroundColor,
-        borderColor: borderColor
-      }}
-      title={`${booking.text || booking.name || `Booking ${booking.id}`}: ${booking.startDate} to ${booking.endDate}`}
-      onClick={() => onBookingClick(booking)}
-    >
-      {shouldShowIcon && showOnLeft && (
-        <img src={bubbleData.Lead_Source} alt="Lead Source" className="w-4 h-4 mx-1" />
-      )}
-      <span className="truncate px-2">
-        {booking?.text || booking?.name || `Booking ${booking.id}`}
-      </span>
-      {shouldShowIcon && !showOnLeft && (
-        <img src={bubbleData.Lead_Source} alt="Lead Source" className="w-4 h-4 mx-1" />
+    <>
+      <div
+        className={`absolute border rounded text-white text-xs flex items-center justify-start font-medium shadow-md cursor-pointer ${
+          isDragging ? 'z-30 opacity-75 shadow-lg' : 'z-10 hover:shadow-lg'
+        } ${isConflict ? 'ring-2 ring-red-500' : ''} ${isHighlighted ? 'ring-4 ring-amber-400 animate-pulse' : ''} ${isFocused ? 'outline outline-2 outline-offset-1 outline-blue-600'
+          : isSplitHighlighted ? 'outline outline-2 outline-offset-1 outline-indigo-500 brightness-110'
+          : ''} ${isCancelled ? 'opacity-40 border-dashed shadow-none' : ''} ${
+          isDimmed ? '!opacity-20 grayscale shadow-none' : ''}`}
+        style={{ 
+          top: `${lane * laneHeight + 4}px`,
+          left: `${left + (isCompact ? 0 : 4)}px`,
+          width: `${width - 2}px`,
+          height: `${laneHeight - 10}px`,
+          backgroundColor: isDragging ? `${backgroundColor}99` : backgroundColor,
+          borderColor: borderColor,
+          transform: isDragging ? `translate(${dragOffset.x}px, ${dragOffset.y}px)` : 'none',
+          pointerEvents: isDragging ? 'none' : 'auto'
+        }}
+        id={id}
+        role="button"
+        aria-label={`${bookingLabel}${isCancelled ? ' (cancelled)' : ''}${split?.count > 1 ? `, part ${split.index + 1} of ${split.count}` : ''}${isTurnoverConflict ? ', checks in during cleaning' : ''}: ${booking.startDate} to ${booking.endDate}`}
+        onPointerDown={handlePointerDown}
+        onPointerEnter={isDragging ? undefined : handlePointerEnter}
+        onPointerLeave={handlePointerLeave}
+      >
+        {/* Resize handles - only on edges that fall inside the visible range */}
+        {canResize && startVisible && (
+          <div
+            className="absolute left-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-l hover:bg-black/20"
+            onPointerDown={handleResizePointerDown('start')}
+          />
+        )}
+        {canResize && endVisible && (
+          <div
+            className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-r hover:bg-black/20"
+            onPointerDown={handleResizePointerDown('end')}
+          />
+        )}
+        {shouldShowIcon && showOnLeft && (
+          <img src={details.leadSource} alt="Lead Source" className="w-4 h-4 mx-1" />
+        )}
+        <span className={`truncate px-2 ${isCancelled ? 'line-through' : ''}`}>
+          {bookingLabel}
+        </span>
+        {split?.count > 1 && !isCompact && (
+          <span className="flex-shrink-0 mr-2 px-1 rounded bg-black/20 text-[10px] whitespace-nowrap">
+            part {split.index + 1} of {split.count}
+          </span>
+        )}
+        {/* Connector markers where the stay changes room */}
+        {!isFirstSegment && startVisible && (
+          <span
+            className="absolute -left-1.5 top-1/2 -translate-y-1/2 w-3 h-3 rounded-full border-2 border-white shadow pointer-events-none"
+            style={{ backgroundColor }}
+            aria-hidden="true"
+          />
+        )}
+        {!isLastSegment && endVisible && (
+          <span
+            className="absolute -right-1.5 top-1/2 -translate-y-1/2 w-3 h-3 rounded-full border-2 border-white shadow pointer-events-none"
+            style={{ backgroundColor }}
+            aria-hidden="true"
+          />
+        )}
+        {shouldShowIcon && !showOnLeft && (
+          <img src={details.leadSource} alt="Lead Source" className="w-4 h-4 mx-1" />
+        )}
+        {isConflict && (
+          <span
+            className="absolute -top-1.5 -right-1.5 w-4 h-4 rounded-full bg-red-600 text-white text-[10px] leading-4 text-center font-bold shadow"
+            title="Overbooked: overlaps another booking in this room"
+          >
+            !
+          </span>
+        )}
+        {isTurnoverConflict && (
+          <span
+            className="absolute -top-1.5 -left-1.5 w-4 h-4 rounded-full bg-amber-500 text-white text-[10px] leading-4 text-center font-bold shadow"
+            title="Checks in before the room is cleaned after the previous checkout"
+          >
+            !
+          </span>
+        )}
+      </div>
+      {!isDragging && (
+        <BookingBubble
+          booking={booking}
+          anchorRect={bubble.anchorRect}
+          onMouseEnter={bubble.keepOpen}
+          onMouseLeave={bubble.onPointerLeave}
+          onClose={bubble.close}
+        />
       )}
-    </div>
+    </>
   )
 }
 
@@ -0,0 +1,30 @@
+import React from 'react'
+
+/**
+ * GroupOccupancyCell - Occupancy summary for one date of a resource group
+ * Shows rooms occupied out of total, with a fill whose height follows the occupancy.
+ * @param {Object} props
+ * @param {number} props.occupied - Rooms occupied on this date
+ * @param {number} props.total - Rooms in the group
+ */
+const GroupOccupancyCell = ({ occupied = 0, total = 0 }) => {
+  const ratio = total ? occupied / total : 0
+  const isFull = total > 0 && occupied >= total
+
+  return (
+    <div
+      className="relative w-full h-full flex items-center justify-center"
+      aria-label={`${occupied} of ${total} rooms occupied`}
+    >
+      <div
+        className={`absolute inset-x-0 bottom-0 transition-[height] ${isFull ? 'bg-red-200' : 'bg-blue-200'}`}
+        style={{ height: `${Math.round(ratio * 100)}%` }}
+      />
+      <span className={`relative text-xs font-medium ${isFull ? 'text-red-800' : 'text-gray-700'}`}>
+        {occupied}/{total}
+      </span>
+    </div>
+  )
+}
+
+export default GroupOccupancyCell
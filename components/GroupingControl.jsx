@@ -0,0 +1,46 @@
+import React from 'react'
+
+/**
+ * GroupingControl - Toolbar controls for the room groups: expand or collapse them all, and
+ * choose what the rooms are grouped by
+ * @param {Object} props
+ * @param {string} props.groupBy - Active grouping id
+ * @param {Array} props.groupings - Groupings as { id, label }
+ * @param {Function} props.onGroupByChange - Handler called with the selected grouping id
+ * @param {Function} props.onExpandAll - Handler to expand every group
+ * @param {Function} props.onCollapseAll - Handler to collapse every group
+ */
+const GroupingControl = ({ groupBy, groupings, onGroupByChange, onExpandAll, onCollapseAll }) => {
+  return (
+    <div className="flex items-center gap-2">
+      <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+        Group by
+        <select
+          value={groupBy}
+          onChange={(e) => onGroupByChange(e.target.value)}
+          className="px-2 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {groupings.map(grouping => (
+            <option key={grouping.id} value={grouping.id}>{grouping.label}</option>
+          ))}
+        </select>
+      </label>
+      <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Groups">
+        <button
+          onClick={onExpandAll}
+          className="px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors border-r border-gray-300 whitespace-nowrap"
+        >
+          Expand all
+        </button>
+        <button
+          onClick={onCollapseAll}
+          className="px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors whitespace-nowrap"
+        >
+          Collapse all
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default GroupingControl
@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from 'react'
+import dayjs from 'dayjs'
+import { searchBookings } from '../utils/searchUtils'
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  reservation: 'Reservation'
+}
+
+/**
+ * GuestSearch - Finds bookings by guest name, email, phone or reservation id
+ * Only bookings of the dates loaded so far are searched, which the results say.
+ * Arrow keys move through the results and Enter picks one.
+ * @param {Object} props
+ * @param {Array} props.bookings - Loaded bookings to search
+ * @param {Array} props.rooms - Rooms as { id, name }, to show each result's room
+ * @param {Function} props.onSelect - Handler called with the chosen booking
+ */
+const GuestSearch = ({ bookings, rooms = [], onSelect }) => {
+  const [query, setQuery] = useState('')
+  const [showResults, setShowResults] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  const results = useMemo(() => searchBookings(bookings, query), [bookings, query])
+  const roomNames = useMemo(() => new Map(rooms.map(room => [room.id, room.name])), [rooms])
+
+  const choose = (result) => {
+    onSelect(result.booking)
+    setShowResults(false)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!results.length) return
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      setShowResults(true)
+      setActiveIndex(index => (index + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length)
+    } else if (e.key === 'Enter' && showResults) {
+      e.preventDefault()
+      choose(results[Math.min(activeIndex, results.length - 1)])
+    } else if (e.key === 'Escape') {
+      setShowResults(false)
+    }
+  }
+
+  return (
+    <div className="min-w-56 relative">
+      <div className="relative">
+        <svg
+          className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+        </svg>
+        <input
+          type="search"
+          placeholder="Find guest..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setActiveIndex(0)
+            setShowResults(e.target.value.trim().length > 0)
+          }}
+          onFocus={() => setShowResults(query.trim().length > 0)}
+          onBlur={() => setTimeout(() => setShowResults(false), 200)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showResults && results.length > 0}
+          aria-controls="guest-search-results"
+          aria-label="Find guest by name, email, phone or reservation id"
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+        />
+      </div>
+
+      {showResults && query.trim() && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 overflow-hidden">
+          <div className="px-3 py-1.5 text-xs text-gray-500 bg-gray-50 border-b border-gray-100">
+            {results.length === 0 ? 'No guests found in loaded dates' : 'In loaded dates'}
+          </div>
+          <div id="guest-search-results" role="listbox" className="max-h-72 overflow-y-auto">
+            {results.map((result, index) => (
+              <button
+                key={result.booking.id}
+                role="option"
+                aria-selected={index === activeIndex}
+                onClick={() => choose(result)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full px-3 py-2 text-left border-b border-gray-100 last:border-b-0 text-sm ${
+                  index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium truncate">
+                  {result.details.guestName || result.booking.text || result.booking.name}
+                </div>
+                <div className="text-gray-600 text-xs truncate">
+                  {roomNames.get(result.booking.resourceId) || result.booking.resourceId} · {dayjs(result.booking.startDate).format('MMM D')} – {dayjs(result.booking.endDate).format('MMM D')}
+                </div>
+                {result.field !== 'name' && (
+                  <div className="text-gray-500 text-xs truncate">
+                    {FIELD_LABELS[result.field]}: {result.value}
+                  </div>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GuestSearch
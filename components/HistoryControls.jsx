@@ -0,0 +1,42 @@
+import React from 'react'
+
+/**
+ * HistoryControls - Undo and redo buttons for the scheduler toolbar
+ * @param {Object} props
+ * @param {Function} props.onUndo - Handler to undo the last change
+ * @param {Function} props.onRedo - Handler to redo the last undone change
+ * @param {boolean} props.canUndo - Whether there is a change to undo
+ * @param {boolean} props.canRedo - Whether there is a change to redo
+ * @param {string} props.undoLabel - Description of the change undo would revert
+ * @param {string} props.redoLabel - Description of the change redo would reapply
+ */
+const HistoryControls = ({ onUndo, onRedo, canUndo, canRedo, undoLabel, redoLabel }) => {
+  return (
+    <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="History">
+      <button
+        onClick={onUndo}
+        disabled={!canUndo}
+        title={canUndo && undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+        aria-label="Undo"
+        className="p-2 text-gray-600 border-r border-gray-300 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent transition-colors"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 14L4 9l5-5M4 9h10a6 6 0 010 12h-3" />
+        </svg>
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo}
+        title={canRedo && redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'}
+        aria-label="Redo"
+        className="p-2 text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent transition-colors"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 14l5-5-5-5M20 9H10a6 6 0 000 12h3" />
+        </svg>
+      </button>
+    </div>
+  )
+}
+
+export default HistoryControls
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+/**
+ * MultiSelectFilter - Toolbar dropdown with a checkbox for each value of a booking attribute
+ * @param {Object} props
+ * @param {string} props.label - Attribute name shown on the button
+ * @param {Array} props.options - Values to choose from, as { value, label, count }
+ * @param {Array} props.selected - Selected values
+ * @param {Function} props.onChange - Handler called with the new selected values
+ */
+const MultiSelectFilter = ({ label, options = [], selected = [], onChange }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return
+
+    const onPointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+
+    window.addEventListener('pointerdown', onPointerDown)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      window.removeEventListener('pointerdown', onPointerDown)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [isOpen])
+
+  const toggleValue = (value) => {
+    onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value])
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        className={`px-3 py-1.5 text-sm border rounded-lg whitespace-nowrap transition-colors ${
+          selected.length
+            ? 'border-blue-500 bg-blue-50 text-blue-700'
+            : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+        }`}
+      >
+        {label}{selected.length > 0 && ` (${selected.length})`}
+        <span className="ml-1 text-xs">▾</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-1 min-w-48 bg-white border border-gray-200 rounded-lg shadow-lg z-50 py-1 max-h-72 overflow-y-auto">
+          {options.length === 0 && (
+            <div className="px-3 py-2 text-sm text-gray-500">No values</div>
+          )}
+          {options.map(option => (
+            <label
+              key={option.value}
+              className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 whitespace-nowrap"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={() => toggleValue(option.value)}
+                className="rounded border-gray-300"
+              />
+              <span>{option.label}</span>
+              <span className="ml-auto pl-3 text-xs text-gray-400">{option.count}</span>
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button
+              onClick={() => onChange([])}
+              className="w-full px-3 py-1.5 text-left text-sm text-blue-600 hover:bg-gray-50 border-t border-gray-100"
+            >
+              Clear {label.toLowerCase()}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MultiSelectFilter
@@ -3,6 +3,7 @@ import DateHeader from './DateHeader'
 import ResourceRow from './ResourceRow'
 import BookingModal from './BookingModal'
 import { generateDateRange, getDateIndex } from '../utils/dateUtils'
+import { buildResourceLayout } from '../utils/bookingUtils'
 
 /**
  * OptimizedScheduler - Performance-optimized scheduler with debounced interactions
@@ -58,6 +59,9 @@ const OptimizedScheduler = ({
     })
   }, [resources])
   
+  // Lane counts keep the resource column aligned with rows that stack overlapping bookings
+  const bookingLayout = useMemo(() => buildResourceLayout(bookings), [bookings])
+  
   // Debounced mouse enter handler
   const handleCellMouseEnter = useCallback((date, resourceId, e) => {
     if (!mouseDownRef.current || !isSelecting) return
@@ -241,7 +245,7 @@ const OptimizedScheduler = ({
                     ? 'font-semibold bg-gray-50' 
                     : 'pl-8 text-gray-700'
                 }`}
-                style={{ height: 60 }}
+                style={{ height: (bookingLayout.get(row.id)?.laneCount || 1) * 60 }}
               >
                 {row.type === 'parent' && (
                   <button
@@ -1,7 +1,10 @@
-import React, { memo } from 'react'
+import React, { memo, useMemo } from 'react'
 import DateCell from './DateCell'
 import BookingBlock from './BookingBlock'
 import SelectionOverlay from './SelectionOverlay'
+import { assignLanes, findConflicts } from '../utils/bookingUtils'
+
+const LANE_HEIGHT = 60
 
 /**
  * ResourceRow - Memoized component for better performance
@@ -16,16 +19,26 @@ const ResourceRow = memo(({
   onCellMouseEnter,
   onBookingClick,
   onBookingDragStart,
-  cellWidth = 100
+  onBookingResizeStart,
+  cellWidth = 100,
+  hotelMode = false
 }) => {
   // Filter bookings for this resource
-  const resourceBookings = bookings.filter(b => b.resourceId === resource.id)
+  const resourceBookings = useMemo(
+    () => bookings.filter(b => b.resourceId === resource.id),
+    [bookings, resource.id]
+  )
+  
+  // Overlapping bookings are stacked in lanes and the row grows to fit them
+  const { lanes, laneCount } = useMemo(() => assignLanes(resourceBookings), [resourceBookings])
+  const conflicts = useMemo(() => findConflicts(resourceBookings), [resourceBookings])
+  const rowHeight = laneCount * LANE_HEIGHT
   
   // Check if this row has an active selection
   const hasSelection = selection && selection.resourceId === resource.id
   
   return (
-    <div className="relative" style={{ height: 60 }}>
+    <div className="relative" style={{ height: rowHeight }}>
       {/* Date cells */}
       <div className="flex relative">
         {dates.map((date) => {
@@ -38,6 +51,7 @@ const ResourceRow = memo(({
               date={date}
               resourceId={resource.id}
               cellWidth={cellWidth}
+              height={rowHeight}
               isSelected={hasSelection && isDateInSelection(date, selection)}
               isDropTarget={isDropTarget}
               onMouseDown={onCellMouseDown}
@@ -57,10 +71,15 @@ const ResourceRow = memo(({
             booking={booking}
             dates={dates}
             cellWidth={cellWidth}
+            lane={lanes.get(booking.id)}
+            laneHeight={LANE_HEIGHT}
+            isConflict={conflicts.has(booking.id)}
             isDragging={isDragging}
+            hotelMode={hotelMode}
             dragOffset={isDragging ? dragState.dragOffset : { x: 0, y: 0 }}
             onBookingClick={onBookingClick}
             onBookingDragStart={onBookingDragStart}
+            onBookingResizeStart={onBookingResizeStart}
           />
         )
       })}
@@ -71,6 +90,7 @@ const ResourceRow = memo(({
           selection={selection}
           dates={dates}
           cellWidth={cellWidth}
+          height={rowHeight}
         />
       )}
     </div>
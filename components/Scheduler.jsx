@@ -3,6 +3,7 @@ import DateHeader from './DateHeader'
 import ResourceRow from './ResourceRow'
 import BookingModal from './BookingModal'
 import { generateDateRange, getDateIndex } from '../utils/dateUtils'
+import { buildResourceLayout } from '../utils/bookingUtils'
 
 /**
  * Scheduler - Main scheduler component with unified scroll architecture and hierarchical resources
@@ -82,6 +83,9 @@ const Scheduler = ({
     })
   }, [resources])
   
+  // Lane counts keep the resource column aligned with rows that stack overlapping bookings
+  const bookingLayout = useMemo(() => buildResourceLayout(bookings), [bookings])
+  
   /**
    * Handle mousedown on a date cell - start selection
    */
@@ -302,7 +306,7 @@ const Scheduler = ({
                     ? 'font-semibold bg-gray-50' 
                     : 'pl-8 text-gray-700'
                 }`}
-                style={{ height: '60px' }}
+                style={{ height: (bookingLayout.get(row.id)?.laneCount || 1) * 60 }}
               >
                 {row.type === 'parent' && (
                   <button
@@ -7,8 +7,9 @@ import { getDateIndex, daysBetween } from '../utils/dateUtils'
  * @param {Object} props.selection - Selection object with resourceId, startDate, endDate
  * @param {Array<string>} props.dates - Array of all dates in the timeline
  * @param {number} props.cellWidth - Width of each date cell
+ * @param {number} props.height - Height of the row being selected
  */
-const SelectionOverlay = ({ selection, dates, cellWidth = 100 }) => {
+const SelectionOverlay = ({ selection, dates, cellWidth = 100, height = 60 }) => {
   if (!selection || !selection.startDate || !selection.endDate) return null
   
   const startIndex = getDateIndex(selection.startDate, dates)
@@ -29,7 +30,7 @@ const SelectionOverlay = ({ selection, dates, cellWidth = 100 }) => {
       style={{
         left: `${left}px`,
         width: `${width}px`,
-        height: '60px',
+        height: `${height}px`,
         boxShadow: 'inset 0 0 0 1px rgba(59, 130, 246, 0.3)'
       }}
     />
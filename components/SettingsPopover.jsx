@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+
+// Adjustable view settings and their limits
+const SETTINGS = [
+  { key: 'cellWidth', label: 'Day width', unit: 'px', min: 40, max: 240, step: 10 },
+  { key: 'rowHeight', label: 'Row height', unit: 'px', min: 32, max: 120, step: 4 },
+  { key: 'daysToShow', label: 'Days shown', unit: 'days', min: 14, max: 365, step: 1 }
+]
+
+/**
+ * SettingsPopover - Toolbar popover for the view preferences
+ * @param {Object} props
+ * @param {Object} props.values - Current cellWidth, rowHeight and daysToShow
+ * @param {Function} props.onChange - Handler called with a released slider's setting, e.g. { rowHeight: 48 }
+ * @param {Function} props.onReset - Handler to restore the default preferences
+ */
+const SettingsPopover = ({ values, onChange, onReset }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  // Value of the slider being dragged, saved when it is released so the grid
+  // isn't relaid out (and its dates refetched) on every step
+  const [draft, setDraft] = useState(null)
+  const containerRef = useRef(null)
+
+  const commitDraft = useCallback(() => {
+    if (!draft) return
+    if (draft.value !== values[draft.key]) onChange({ [draft.key]: draft.value })
+    setDraft(null)
+  }, [draft, values, onChange])
+
+  // The pointer can be released outside the slider
+  useEffect(() => {
+    if (!draft) return
+    window.addEventListener('pointerup', commitDraft)
+    return () => window.removeEventListener('pointerup', commitDraft)
+  }, [draft, commitDraft])
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return
+
+    const onPointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+
+    window.addEventListener('pointerdown', onPointerDown)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      window.removeEventListener('pointerdown', onPointerDown)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [isOpen])
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+        aria-label="View settings"
+        className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div
+          role="dialog"
+          aria-label="View settings"
+          className="absolute top-full right-0 mt-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg z-50 p-4 space-y-4"
+        >
+          {SETTINGS.map(setting => (
+            <label key={setting.key} className="block text-sm text-gray-700">
+              <div className="flex justify-between mb-1">
+                <span>{setting.label}</span>
+                <span className="text-gray-500">{draft?.key === setting.key ? draft.value : values[setting.key]} {setting.unit}</span>
+              </div>
+              <input
+                type="range"
+                min={setting.min}
+                max={setting.max}
+                step={setting.step}
+                value={draft?.key === setting.key ? draft.value : values[setting.key]}
+                onChange={(e) => setDraft({ key: setting.key, value: Number(e.target.value) })}
+                onKeyUp={commitDraft}
+                onBlur={commitDraft}
+                className="w-full"
+              />
+            </label>
+          ))}
+          <div className="flex items-center justify-between pt-3 border-t border-gray-100">
+            <span className="text-xs text-gray-500">Saved in this browser</span>
+            <button
+              onClick={onReset}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SettingsPopover
@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react'
+import { getDateBands } from '../utils/dateUtils'
+
+/**
+ * TimeBandHeader - Week or month band drawn above the day headers
+ * The strip is not virtualized (a timeline only spans a handful of bands); the scheduler
+ * keeps it aligned with the grid by setting scrollLeft on scrollRef. Labels stick to the
+ * left edge so the current band stays named while its start is scrolled out of view.
+ * @param {Object} props
+ * @param {Array<string>} props.dates - Timeline dates in YYYY-MM-DD format
+ * @param {string} props.unit - Band unit, 'week' or 'month'
+ * @param {number} props.cellWidth - Width of each date column in pixels
+ * @param {number} props.labelWidth - Width of the resource column in pixels
+ * @param {number} props.width - Total width in pixels
+ * @param {number} props.height - Height of the strip in pixels
+ * @param {Object} props.scrollRef - Ref to the horizontally scrolled container
+ */
+const TimeBandHeader = ({ dates, unit, cellWidth, labelWidth, width, height = 24, scrollRef }) => {
+  const bands = useMemo(() => getDateBands(dates, unit), [dates, unit])
+
+  return (
+    <div className="flex border-b border-gray-200 bg-gray-50" style={{ height }}>
+      <div className="flex-shrink-0 border-r border-gray-200" style={{ width: labelWidth }} />
+      <div
+        ref={scrollRef}
+        className="overflow-hidden"
+        style={{ width: Math.max(0, width - labelWidth) }}
+      >
+        <div className="flex h-full" style={{ width: dates.length * cellWidth }}>
+          {bands.map(band => (
+            <div
+              key={band.key}
+              className="flex-shrink-0 h-full border-r border-gray-300"
+              style={{ width: band.days * cellWidth }}
+            >
+              <span className="sticky left-0 inline-block px-2 text-xs font-semibold text-gray-700 whitespace-nowrap leading-6">
+                {band.label}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TimeBandHeader
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react'
+
+/**
+ * Toast - Short-lived notice at the bottom of the screen with an optional action
+ * @param {Object} props
+ * @param {string} props.message - Text to show
+ * @param {string} props.actionLabel - Label of the action button, if any
+ * @param {Function} props.onAction - Handler for the action button
+ * @param {Function} props.onDismiss - Called when the toast times out or is closed
+ * @param {number} props.duration - Time before the toast dismisses itself in ms (default: 5000)
+ */
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = 5000 }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timer)
+  }, [onDismiss, duration])
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 bg-gray-900 text-white text-sm rounded-lg shadow-xl"
+    >
+      <span>{message}</span>
+      {actionLabel && (
+        <button
+          onClick={onAction}
+          className="font-semibold text-blue-300 hover:text-blue-200 transition-colors"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white transition-colors"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
+
+export default Toast
@@ -0,0 +1,85 @@
+import React from 'react'
+import { Grid } from 'react-virtualized'
+
+const ROW_HEIGHT = 22
+
+const formatNumber = (value) => String(value)
+const formatPercent = (value) => value === null ? '—' : `${Math.round(value * 100)}%`
+const formatAmount = (value) => {
+  if (value === null) return '—'
+  return value.toLocaleString(undefined, { maximumFractionDigits: 0 })
+}
+
+const METRICS = [
+  { key: 'occupied', label: 'Occupied', format: formatNumber },
+  { key: 'occupancy', label: 'Occupancy', format: formatPercent },
+  { key: 'arrivals', label: 'Arrivals', format: formatNumber },
+  { key: 'departures', label: 'Departures', format: formatNumber },
+  { key: 'revenue', label: 'Revenue', format: formatAmount }
+]
+
+const RATE_METRICS = [
+  { key: 'adr', label: 'ADR', format: formatAmount },
+  { key: 'revpar', label: 'RevPAR', format: formatAmount }
+]
+
+/**
+ * TotalsFooter - Daily totals pinned below the scheduler grid
+ * The date columns are a separate Grid without its own scrollbar; the scheduler keeps it
+ * aligned with the main grid through gridRef.scrollToPosition.
+ * @param {Object} props
+ * @param {Array} props.totals - Totals for each date, from buildDailyTotals
+ * @param {boolean} props.showRates - Whether to add the ADR and RevPAR rows
+ * @param {number} props.cellWidth - Width of each date column in pixels
+ * @param {number} props.labelWidth - Width of the label column in pixels
+ * @param {number} props.width - Total width in pixels
+ * @param {Object} props.gridRef - Ref to the date-column Grid
+ */
+const TotalsFooter = ({ totals, showRates = false, cellWidth, labelWidth, width, gridRef }) => {
+  const metrics = showRates ? [...METRICS, ...RATE_METRICS] : METRICS
+  const height = metrics.length * ROW_HEIGHT
+
+  const cellRenderer = ({ columnIndex, rowIndex, key, style }) => {
+    const metric = metrics[rowIndex]
+    const value = totals[columnIndex]?.[metric.key] ?? null
+
+    return (
+      <div
+        key={key}
+        style={style}
+        className="border-r border-gray-100 flex items-center justify-center text-xs text-gray-700 tabular-nums"
+      >
+        {metric.format(value)}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex border-t-2 border-gray-300 bg-gray-50" role="region" aria-label="Daily totals">
+      <div className="flex-shrink-0 border-r border-gray-200" style={{ width: labelWidth }}>
+        {metrics.map(metric => (
+          <div
+            key={metric.key}
+            className="px-2 flex items-center text-xs font-semibold text-gray-600"
+            style={{ height: ROW_HEIGHT }}
+          >
+            {metric.label}
+          </div>
+        ))}
+      </div>
+      <Grid
+        ref={gridRef}
+        cellRenderer={cellRenderer}
+        columnCount={totals.length}
+        columnWidth={cellWidth}
+        rowCount={metrics.length}
+        rowHeight={ROW_HEIGHT}
+        width={Math.max(0, width - labelWidth)}
+        height={height}
+        style={{ overflowX: 'hidden', overflowY: 'hidden', outline: 'none' }}
+      />
+    </div>
+  )
+}
+
+export default TotalsFooter
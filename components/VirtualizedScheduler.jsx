@@ -1,36 +1,204 @@
 import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react'
 import { MultiGrid } from 'react-virtualized'
+import dayjs from 'dayjs'
 import 'react-virtualized/styles.css'
 import DateHeader from './DateHeader'
 import BookingModal from './BookingModal'
 import FilterBar from './FilterBar'
 import GridBookingCell from './GridBookingCell'
-import { generateDateRange, getDateIndex } from '../utils/dateUtils'
+import DateNavigator from './DateNavigator'
+import GroupOccupancyCell from './GroupOccupancyCell'
+import TotalsFooter from './TotalsFooter'
+import TimeBandHeader from './TimeBandHeader'
+import ZoomControl from './ZoomControl'
+import HistoryControls from './HistoryControls'
+import SettingsPopover from './SettingsPopover'
+import GroupingControl from './GroupingControl'
+import { generateDateRange, getDateIndex, addDays, nightsBetween } from '../utils/dateUtils'
+import { getCellFromPoint, getBookingSpan } from '../utils/gridUtils'
+import { isTouchPointer, watchPointerGesture, preventTouchScroll, LONG_PRESS_MS, TOUCH_SLOP_PX } from '../utils/pointerUtils'
+import { buildDailyTotals } from '../utils/totalsUtils'
+import { getFilterOptions, hasActiveFilters, matchesFilters, DEFAULT_FILTERS } from '../utils/filterUtils'
+import { groupResources, GROUPINGS } from '../utils/groupingUtils'
+import { buildResourceLayout, buildSplitGroups, countOccupiedRooms, createGroupId, isBookingCancelled } from '../utils/bookingUtils'
+import {
+  getCleaningHours,
+  findTurnoverConflict,
+  findTurnoverConflicts,
+  DEFAULT_CHECKOUT_HOUR,
+  DEFAULT_CHECK_IN_HOUR
+} from '../utils/turnoverUtils'
+
+// Days added to the timeline each time the user scrolls near a horizontal edge
+const EXTEND_DAYS = 30
+// Distance from an edge, in days, that triggers loading another window
+const EDGE_THRESHOLD_DAYS = 7
+
+// Timeline scales. Every level keeps one column per day; week and month compress the
+// columns so bookings stay proportional, and label a week or month band above the days.
+const ZOOM_LEVELS = [
+  { id: 'day', label: 'Day', band: 'month' },
+  { id: 'week', label: 'Week', band: 'week', columnWidth: 28 },
+  { id: 'month', label: 'Month', band: 'month', columnWidth: 12 }
+]
+
+// Focus movement for each arrow key, as [row delta, date delta]
+const ARROW_DELTAS = {
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0]
+}
+
+// DOM ids referenced by the grid's aria-activedescendant and its rows' aria-owns. Ids are
+// encoded because aria-owns is a space-separated list and group ids can contain spaces
+const toIdPart = (value) => encodeURIComponent(value)
+const getCellElementId = (resourceId, date) => `scheduler-cell-${toIdPart(resourceId)}-${date}`
+const getBookingElementId = (bookingId) => `scheduler-booking-${toIdPart(bookingId)}`
+const getColumnHeaderElementId = (date) => `scheduler-columnheader-${date}`
+const getRowHeaderElementId = (resourceId) => `scheduler-rowheader-${toIdPart(resourceId)}`
+const CORNER_HEADER_ELEMENT_ID = 'scheduler-columnheader-resources'
 
 const VirtualizedScheduler = ({
   resources = [],
   bookings = [],
   onBookingCreate,
+  onBookingUpdate,
+  onBookingDelete,
+  onBookingMove,
+  onBookingResize,
   onResourcesChange,
+  startDate: startDateProp,
+  onStartDateChange,
+  zoom: zoomProp,
+  onZoomChange,
+  searchTerm: searchTermProp,
+  onSearchTermChange,
+  bookingIdFilter: bookingIdFilterProp,
+  onBookingIdFilterChange,
+  filters: filtersProp,
+  onFiltersChange,
+  onRangeRequest,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel,
+  redoLabel,
+  onSettingsChange,
+  onSettingsReset,
+  showCancelled = false,
+  showRates = false,
+  hotelMode = false,
+  groupBy: initialGroupBy = 'block',
+  selectAcrossGroups = false,
+  checkoutHour = DEFAULT_CHECKOUT_HOUR,
+  checkInHour = DEFAULT_CHECK_IN_HOUR,
+  blockTurnoverCheckIns = false,
   daysToShow = 60,
   cellWidth = 100,
   rowHeight = 60
 }) => {
-  const dates = useMemo(() => generateDateRange(daysToShow), [daysToShow])
+  // The visible window is controlled through startDate/onStartDateChange, or kept internally
+  const [internalStartDate, setInternalStartDate] = useState(() => dayjs().format('YYYY-MM-DD'))
+  const startDate = startDateProp ?? internalStartDate
+
+  // Zoom is controlled the same way through zoom/onZoomChange
+  const [internalZoom, setInternalZoom] = useState('day')
+  const zoom = zoomProp ?? internalZoom
+  const zoomLevel = ZOOM_LEVELS.find(level => level.id === zoom) || ZOOM_LEVELS[0]
+  const columnWidth = zoomLevel.columnWidth ?? cellWidth
+
+  // The rendered range starts EXTEND_DAYS before startDate so there is room to scroll back,
+  // and grows in both directions as the user scrolls towards its edges
+  const [range, setRange] = useState(() => ({
+    start: addDays(startDate, -EXTEND_DAYS),
+    days: daysToShow + EXTEND_DAYS
+  }))
+  const dates = useMemo(() => generateDateRange(range.days, range.start), [range])
   
-  const [searchTerm, setSearchTerm] = useState('')
-  const [selectedBookingId, setSelectedBookingId] = useState('')
+  // The room search and booking id filter are controlled the same way as startDate
+  const [internalSearchTerm, setInternalSearchTerm] = useState('')
+  const searchTerm = searchTermProp ?? internalSearchTerm
+  const [internalBookingIdFilter, setInternalBookingIdFilter] = useState('')
+  const selectedBookingId = bookingIdFilterProp ?? internalBookingIdFilter
+
+  const setSearchTerm = useCallback((value) => {
+    setInternalSearchTerm(value)
+    onSearchTermChange?.(value)
+  }, [onSearchTermChange])
+
+  const setSelectedBookingId = useCallback((value) => {
+    setInternalBookingIdFilter(value)
+    onBookingIdFilterChange?.(value)
+  }, [onBookingIdFilterChange])
   const [selection, setSelection] = useState(null)
   const [selectedBooking, setSelectedBooking] = useState(null)
   const [isSelecting, setIsSelecting] = useState(false)
   const [modalOpen, setModalOpen] = useState(false)
+  const [dragState, setDragState] = useState(null)
+  const [resizeState, setResizeState] = useState(null)
+  const [showCancelledBookings, setShowCancelledBookings] = useState(showCancelled)
+  const [showRateTotals, setShowRateTotals] = useState(showRates)
+  const [isHotelMode, setIsHotelMode] = useState(hotelMode)
+
+  // Rooms can be regrouped by an attribute (see GROUPINGS). Block groups keep their expanded
+  // flag on the resources; regrouped ones are built here, so their collapsed ids are kept here too
+  const [groupBy, setGroupBy] = useState(initialGroupBy)
+  const [collapsedGroupIds, setCollapsedGroupIds] = useState(() => new Set())
+  const groupedResources = useMemo(() => {
+    return groupResources(resources, groupBy, collapsedGroupIds)
+  }, [resources, groupBy, collapsedGroupIds])
+
+  const setGroupsExpanded = useCallback((groupIds, expanded) => {
+    const ids = new Set(groupIds)
+    if (groupBy === 'block') {
+      onResourcesChange?.(resources.map(r => ids.has(r.id) ? { ...r, expanded } : r))
+      return
+    }
+    setCollapsedGroupIds(prev => {
+      const next = new Set(prev)
+      ids.forEach(id => expanded ? next.delete(id) : next.add(id))
+      return next
+    })
+  }, [groupBy, resources, onResourcesChange])
+
+  // Booking attribute filters (see DEFAULT_FILTERS), controlled through filters/onFiltersChange
+  // or kept internally: selected values per filter id, whether non-matching bookings are
+  // dimmed or hidden, and whether rooms without matches are hidden
+  const [internalFilters, setInternalFilters] = useState(DEFAULT_FILTERS)
+  const filters = filtersProp ?? internalFilters
+  const { values: attributeFilters, mode: filterMode, hideUnmatchedRooms } = filters
+  const isFiltering = hasActiveFilters(attributeFilters)
+
+  const updateFilters = useCallback((changes) => {
+    const next = { ...filters, ...changes }
+    setInternalFilters(next)
+    onFiltersChange?.(next)
+  }, [filters, onFiltersChange])
 
-  const mouseDownRef = useRef(false)
+  const filterOptions = useMemo(() => getFilterOptions(bookings), [bookings])
+
+  const matchingBookingIds = useMemo(() => {
+    if (!isFiltering) return null
+    return new Set(bookings.filter(b => matchesFilters(b, attributeFilters)).map(b => b.id))
+  }, [bookings, attributeFilters, isFiltering])
+  const [hoveredSplitKey, setHoveredSplitKey] = useState(null)
+
+  // Keyboard focus. The grid element keeps DOM focus and points at the active cell or booking
+  // through aria-activedescendant, so focus survives the cell being virtualized away.
+  const [focusCell, setFocusCell] = useState(null)
+  const [focusedBookingId, setFocusedBookingId] = useState(null)
+  const [gridHasFocus, setGridHasFocus] = useState(false)
+  const selectionAnchorRef = useRef(null)
+  const restoreGridFocusRef = useRef(false)
+
+  const pointerDownRef = useRef(false)
   const startDateRef = useRef(null)
   const startResourceIdRef = useRef(null)
 
   const visibleRows = useMemo(() => {
-    let filteredResources = resources
+    let filteredResources = groupedResources
     
     if (selectedBookingId) {
       const matchingBookings = bookings.filter(booking => 
@@ -38,7 +206,7 @@ const VirtualizedScheduler = ({
       )
       const matchingResourceIds = new Set(matchingBookings.map(b => b.resourceId))
       
-      filteredResources = resources.map(parent => ({
+      filteredResources = groupedResources.map(parent => ({
         ...parent,
         expanded: true,
         children: (parent.children || []).filter(child => 
@@ -47,6 +215,19 @@ const VirtualizedScheduler = ({
       })).filter(parent => parent.children.length > 0)
     }
     
+    if (matchingBookingIds && hideUnmatchedRooms) {
+      // Rooms with a matching booking somewhere in the rendered dates
+      const lastDate = dates[dates.length - 1]
+      const matchingRoomIds = new Set(bookings
+        .filter(b => matchingBookingIds.has(b.id) && b.startDate <= lastDate && b.endDate > dates[0])
+        .map(b => b.resourceId))
+
+      filteredResources = filteredResources.map(parent => ({
+        ...parent,
+        children: (parent.children || []).filter(child => matchingRoomIds.has(child.id))
+      })).filter(parent => parent.children.length > 0)
+    }
+
     if (searchTerm) {
       filteredResources = filteredResources.filter(parent => {
         const parentMatches = parent.name.toLowerCase().includes(searchTerm.toLowerCase())
@@ -67,24 +248,56 @@ const VirtualizedScheduler = ({
 
       return [parentRow, ...children]
     })
-  }, [resources, searchTerm, selectedBookingId, bookings])
+  }, [groupedResources, searchTerm, selectedBookingId, bookings, matchingBookingIds, hideUnmatchedRooms, dates])
+
+  /**
+   * Rooms covered by a rectangular selection from the anchor room to the target row, in row order.
+   * Returns null when the target can't extend the selection: a row outside the grid, or a room
+   * in another group unless selectAcrossGroups is set.
+   */
+  const getSelectionRooms = useCallback((anchorId, targetId) => {
+    const anchorIndex = visibleRows.findIndex(r => r.id === anchorId)
+    const targetIndex = visibleRows.findIndex(r => r.id === targetId)
+    if (anchorIndex === -1 || targetIndex === -1) return null
+
+    const anchor = visibleRows[anchorIndex]
+    const target = visibleRows[targetIndex]
+    if (!selectAcrossGroups && target.type === 'child' && target.parentId !== anchor.parentId) return null
+
+    return visibleRows
+      .slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1)
+      .filter(r => r.type === 'child' && (selectAcrossGroups || r.parentId === anchor.parentId))
+      .map(r => r.id)
+  }, [visibleRows, selectAcrossGroups])
 
-  const handleCellMouseDown = useCallback((date, resourceId, e) => {
-    e.preventDefault()
-    mouseDownRef.current = true
+  const startSelection = useCallback((date, resourceId) => {
+    pointerDownRef.current = true
     startDateRef.current = date
     startResourceIdRef.current = resourceId
 
     setIsSelecting(true)
-    setSelection({ resourceId, startDate: date, endDate: date })
+    setSelection({ resourceId, resourceIds: [resourceId], startDate: date, endDate: date })
+    setFocusCell({ resourceId, date })
+    setFocusedBookingId(null)
   }, [])
 
-  const handleCellMouseEnter = useCallback((date, resourceId) => {
-    if (!mouseDownRef.current || !isSelecting) return
-    if (resourceId !== startResourceIdRef.current) return
+  /**
+   * A mouse or pen starts selecting on press. A finger has to long-press first, so swiping
+   * across the grid scrolls it instead of selecting.
+   */
+  const handleCellPointerDown = useCallback((date, resourceId, e) => {
+    if (!isTouchPointer(e)) {
+      e.preventDefault()
+      startSelection(date, resourceId)
+      return
+    }
 
-    setSelection(prev => prev ? { ...prev, endDate: date } : null)
-  }, [isSelecting])
+    watchPointerGesture(e, {
+      holdDelay: LONG_PRESS_MS,
+      moveThreshold: TOUCH_SLOP_PX,
+      onHold: () => startSelection(date, resourceId)
+    })
+  }, [startSelection])
 
   const handleBookingClick = useCallback((booking) => {
     setSelectedBooking(booking)
@@ -92,69 +305,766 @@ const VirtualizedScheduler = ({
     setModalOpen(true)
   }, [])
 
+  // Bookings can only be dropped on rooms, never on group rows
+  const roomIds = useMemo(() => {
+    return new Set(resources.flatMap(parent => (parent.children || []).map(child => child.id)))
+  }, [resources])
+
+  // Cleaning hours each room needs after a checkout, keyed by room id
+  const cleaningHours = useMemo(() => {
+    return new Map(resources.flatMap(parent => (parent.children || []).map(child => [child.id, getCleaningHours(child)])))
+  }, [resources])
+
+  const turnoverTimes = useMemo(() => ({ checkoutHour, checkInHour }), [checkoutHour, checkInHour])
+
+  /**
+   * The booking whose cleaning buffer a stay starting in this room would check in during, or null.
+   * Pass the stay's own id when it is an existing booking so it is not compared with itself.
+   */
+  const getTurnoverConflict = useCallback((resourceId, startDate, bookingId) => {
+    const roomBookings = bookings.filter(b => b.resourceId === resourceId)
+    return findTurnoverConflict(roomBookings, { id: bookingId, startDate }, cleaningHours.get(resourceId) || 0, turnoverTimes)
+  }, [bookings, cleaningHours, turnoverTimes])
+
+  /**
+   * Start dragging a booking. The grabbed day is remembered so the booking keeps
+   * its position relative to the pointer when it is dropped on another cell.
+   */
+  const handleBookingDragStart = useCallback((booking, e) => {
+    const cell = getCellFromPoint(e.clientX, e.clientY)
+    const grabOffset = cell ? nightsBetween(booking.startDate, cell.date) : 0
+
+    setSelection(null)
+    setDragState({
+      draggedBooking: booking,
+      grabOffset,
+      origin: { x: e.clientX, y: e.clientY },
+      dragOffset: { x: 0, y: 0 },
+      dropTarget: null
+    })
+  }, [])
+
+  const isDragging = !!dragState
+
+  // Mirror of dragState for the window listeners, which must not run side effects in updaters
+  const dragStateRef = useRef(null)
+  dragStateRef.current = dragState
+
+  useEffect(() => {
+    if (!isDragging) return
+
+    const onPointerMove = (e) => {
+      const current = dragStateRef.current
+      if (!current) return
+
+      const { draggedBooking, grabOffset, origin } = current
+      const cell = getCellFromPoint(e.clientX, e.clientY)
+      let dropTarget = null
+
+      if (cell && roomIds.has(cell.resourceId)) {
+        const nights = nightsBetween(draggedBooking.startDate, draggedBooking.endDate)
+        const startDate = addDays(cell.date, -grabOffset)
+        dropTarget = {
+          resourceId: cell.resourceId,
+          date: cell.date,
+          startDate,
+          endDate: addDays(startDate, nights),
+          turnoverConflict: !!getTurnoverConflict(cell.resourceId, startDate, draggedBooking.id)
+        }
+      }
+
+      setDragState({
+        ...current,
+        dragOffset: { x: e.clientX - origin.x, y: e.clientY - origin.y },
+        dropTarget
+      })
+    }
+
+    const onPointerUp = () => {
+      const current = dragStateRef.current
+      setDragState(null)
+      if (!current?.dropTarget) return
+
+      const { draggedBooking: booking, dropTarget: target } = current
+      if (target.resourceId === booking.resourceId && target.startDate === booking.startDate) return
+      if (target.turnoverConflict && blockTurnoverCheckIns) return
+
+      onBookingMove?.(booking, {
+        resourceId: target.resourceId,
+        startDate: target.startDate,
+        endDate: target.endDate
+      })
+    }
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setDragState(null)
+    }
+
+    const onPointerCancel = () => setDragState(null)
+
+    const restoreTouchScroll = preventTouchScroll()
+    window.addEventListener('pointermove', onPointerMove)
+    window.addEventListener('pointerup', onPointerUp)
+    window.addEventListener('pointercancel', onPointerCancel)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      restoreTouchScroll()
+      window.removeEventListener('pointermove', onPointerMove)
+      window.removeEventListener('pointerup', onPointerUp)
+      window.removeEventListener('pointercancel', onPointerCancel)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [isDragging, roomIds, onBookingMove, getTurnoverConflict, blockTurnoverCheckIns])
+
+  /**
+   * Start resizing a booking from its check-in ('start') or checkout ('end') edge
+   */
+  const handleBookingResizeStart = useCallback((booking, edge) => {
+    setSelection(null)
+    setResizeState({
+      booking,
+      edge,
+      startDate: booking.startDate,
+      endDate: booking.endDate
+    })
+  }, [])
+
+  const isResizing = !!resizeState
+
+  const resizeStateRef = useRef(null)
+  resizeStateRef.current = resizeState
+
+  useEffect(() => {
+    if (!isResizing) return
+
+    const onPointerMove = (e) => {
+      const current = resizeStateRef.current
+      const cell = getCellFromPoint(e.clientX, e.clientY)
+      if (!current || !cell) return
+
+      const { booking, edge } = current
+
+      // endDate is the checkout day (exclusive), so the hovered cell is the last night
+      // and the checkout falls on the following day. In hotel mode the checkout edge sits in
+      // the checkout day itself. Stays never shrink below one night.
+      if (edge === 'start') {
+        const lastCheckIn = addDays(booking.endDate, -1)
+        const startDate = cell.date < lastCheckIn ? cell.date : lastCheckIn
+        if (startDate !== current.startDate) setResizeState({ ...current, startDate })
+      } else {
+        const firstCheckout = addDays(booking.startDate, 1)
+        const checkout = isHotelMode ? cell.date : addDays(cell.date, 1)
+        const endDate = checkout > firstCheckout ? checkout : firstCheckout
+        if (endDate !== current.endDate) setResizeState({ ...current, endDate })
+      }
+    }
+
+    const onPointerUp = () => {
+      const current = resizeStateRef.current
+      setResizeState(null)
+      if (!current) return
+
+      const { booking, startDate, endDate } = current
+      if (startDate === booking.startDate && endDate === booking.endDate) return
+      if (blockTurnoverCheckIns && startDate !== booking.startDate &&
+        getTurnoverConflict(booking.resourceId, startDate, booking.id)) return
+
+      onBookingResize?.(booking, { startDate, endDate })
+    }
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setResizeState(null)
+    }
+
+    const onPointerCancel = () => setResizeState(null)
+
+    const restoreTouchScroll = preventTouchScroll()
+    window.addEventListener('pointermove', onPointerMove)
+    window.addEventListener('pointerup', onPointerUp)
+    window.addEventListener('pointercancel', onPointerCancel)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      restoreTouchScroll()
+      window.removeEventListener('pointermove', onPointerMove)
+      window.removeEventListener('pointerup', onPointerUp)
+      window.removeEventListener('pointercancel', onPointerCancel)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [isResizing, isHotelMode, onBookingResize, getTurnoverConflict, blockTurnoverCheckIns])
+
+  // Cancelled bookings are hidden unless shown as ghosted bars.
+  // While resizing, render the booking with its preview dates.
+  const displayBookings = useMemo(() => {
+    const shownBookings = showCancelledBookings
+      ? bookings
+      : bookings.filter(b => !isBookingCancelled(b))
+    if (!resizeState) return shownBookings
+
+    const { booking, startDate, endDate } = resizeState
+    return shownBookings.map(b => b.id === booking.id ? { ...b, startDate, endDate } : b)
+  }, [bookings, resizeState, showCancelledBookings])
+
+  // Bookings drawn on the grid: filtered bookings drop out when non-matching ones are hidden
+  const gridBookings = useMemo(() => {
+    if (!matchingBookingIds || filterMode !== 'hide') return displayBookings
+    return displayBookings.filter(b => matchingBookingIds.has(b.id))
+  }, [displayBookings, matchingBookingIds, filterMode])
+
+  // Per-room bookings with stacked lanes for overlaps and overbooking conflicts
+  const bookingLayout = useMemo(() => buildResourceLayout(gridBookings), [gridBookings])
+
+  // Bookings checking in before the room has been cleaned after the previous checkout
+  const turnoverConflicts = useMemo(() => {
+    const conflicts = new Map()
+    bookingLayout.forEach(({ bookings: roomBookings }, resourceId) => {
+      conflicts.set(resourceId, findTurnoverConflicts(roomBookings, cleaningHours.get(resourceId) || 0, turnoverTimes))
+    })
+    return conflicts
+  }, [bookingLayout, cleaningHours, turnoverTimes])
+
+  // Segments of stays split across rooms, linked by reservation
+  const splitGroups = useMemo(() => buildSplitGroups(displayBookings), [displayBookings])
+
+  // Rooms occupied per date for each group, shown on the group rows
+  // Counted from every shown booking, so occupancy doesn't change with the attribute filters
+  const groupOccupancy = useMemo(() => {
+    const byRoom = new Map()
+    displayBookings.forEach(booking => {
+      if (!byRoom.has(booking.resourceId)) byRoom.set(booking.resourceId, [])
+      byRoom.get(booking.resourceId).push(booking)
+    })
+
+    const occupancy = new Map()
+    groupedResources.forEach(parent => {
+      const children = parent.children || []
+      occupancy.set(parent.id, {
+        counts: countOccupiedRooms(children.map(child => byRoom.get(child.id) || []), dates),
+        total: children.length
+      })
+    })
+    return occupancy
+  }, [groupedResources, displayBookings, dates])
+
   const handleToggleExpand = useCallback((parentId) => {
-    onResourcesChange?.(
-      resources.map(r =>
-        r.id === parentId ? { ...r, expanded: !r.expanded } : r
-      )
-    )
-  }, [resources, onResourcesChange])
+    const parent = groupedResources.find(r => r.id === parentId)
+    if (parent) setGroupsExpanded([parentId], !parent.expanded)
+  }, [groupedResources, setGroupsExpanded])
+
+  const selectionRef = useRef(null)
+  selectionRef.current = selection
 
+  // Follow the pointer while selecting. Touch pointers stay captured by the cell they pressed,
+  // so the cell under the pointer is found by hit-testing rather than through enter events.
   useEffect(() => {
-    const onMouseUp = (e) => {
-      if (!mouseDownRef.current || !selection) return
+    if (!isSelecting) return
+
+    const onPointerMove = (e) => {
+      if (!pointerDownRef.current) return
+      const cell = getCellFromPoint(e.clientX, e.clientY)
+      if (!cell) return
+
+      const resourceIds = getSelectionRooms(startResourceIdRef.current, cell.resourceId)
+      setSelection(prev => {
+        if (!prev) return prev
+        const nextIds = resourceIds || prev.resourceIds
+        if (prev.endDate === cell.date && nextIds.join() === prev.resourceIds.join()) return prev
+        return { ...prev, endDate: cell.date, resourceIds: nextIds }
+      })
+    }
+
+    const onPointerUp = () => {
+      const current = selectionRef.current
+      if (!pointerDownRef.current || !current) return
 
-      mouseDownRef.current = false
+      pointerDownRef.current = false
       setIsSelecting(false)
 
-      const startIdx = getDateIndex(selection.startDate, dates)
-      const endIdx = getDateIndex(selection.endDate, dates)
+      const startIdx = getDateIndex(current.startDate, dates)
+      const endIdx = getDateIndex(current.endDate, dates)
 
       setSelection({
-        ...selection,
-        startDate: startIdx <= endIdx ? selection.startDate : selection.endDate,
-        endDate: startIdx <= endIdx ? selection.endDate : selection.startDate
+        ...current,
+        startDate: startIdx <= endIdx ? current.startDate : current.endDate,
+        endDate: startIdx <= endIdx ? current.endDate : current.startDate
       })
 
       setTimeout(() => setModalOpen(true), 80)
     }
 
-    window.addEventListener('mouseup', onMouseUp)
-    return () => window.removeEventListener('mouseup', onMouseUp)
-  }, [selection, dates])
+    const onPointerCancel = () => {
+      pointerDownRef.current = false
+      setIsSelecting(false)
+      setSelection(null)
+    }
+
+    const restoreTouchScroll = preventTouchScroll()
+    window.addEventListener('pointermove', onPointerMove)
+    window.addEventListener('pointerup', onPointerUp)
+    window.addEventListener('pointercancel', onPointerCancel)
+    return () => {
+      restoreTouchScroll()
+      window.removeEventListener('pointermove', onPointerMove)
+      window.removeEventListener('pointerup', onPointerUp)
+      window.removeEventListener('pointercancel', onPointerCancel)
+    }
+  }, [isSelecting, dates, getSelectionRooms])
+
+  const gridElementRef = useRef(null)
 
   const handleModalClose = useCallback(() => {
     setModalOpen(false)
     setSelection(null)
     setSelectedBooking(null)
-    mouseDownRef.current = false
+    pointerDownRef.current = false
     setIsSelecting(false)
+    selectionAnchorRef.current = null
+
+    // Hand focus back to the grid when the modal was opened from the keyboard
+    if (restoreGridFocusRef.current) {
+      restoreGridFocusRef.current = false
+      requestAnimationFrame(() => gridElementRef.current?.focus())
+    }
   }, [])
 
   const handleBookingConfirm = useCallback((data) => {
-    onBookingCreate?.(data)
+    if (selectedBooking) {
+      const { resourceId, startDate, endDate, text, notes } = data
+      onBookingUpdate?.(selectedBooking, { resourceId, startDate, endDate, text, notes })
+    } else if (data.resourceIds?.length > 1) {
+      // Group booking: one reservation per room, linked by a shared groupId
+      const { resourceIds, ...details } = data
+      const groupId = createGroupId()
+      resourceIds.forEach(resourceId => {
+        onBookingCreate?.({ ...details, resourceId, groupId, groupSize: resourceIds.length })
+      })
+    } else {
+      const { resourceIds, ...details } = data
+      onBookingCreate?.({ ...details, resourceId: resourceIds?.[0] ?? details.resourceId })
+    }
     handleModalClose()
-  }, [onBookingCreate, handleModalClose])
+  }, [selectedBooking, onBookingCreate, onBookingUpdate, handleModalClose])
+
+  const handleCancelReservation = useCallback((booking) => {
+    onBookingUpdate?.(booking, { status: 'cancelled' })
+  }, [onBookingUpdate])
+
+  const handleBookingDelete = useCallback((booking) => {
+    onBookingDelete?.(booking)
+  }, [onBookingDelete])
+
+  // Rooms a booking can be moved to from the edit form
+  const rooms = useMemo(() => {
+    return resources.flatMap(parent => (parent.children || []).map(child => ({
+      id: child.id,
+      name: child.name,
+      groupName: parent.name
+    })))
+  }, [resources])
+
+  // Property-wide figures for the totals footer, independent of the row filters
+  const dailyTotals = useMemo(() => {
+    return buildDailyTotals(displayBookings, rooms.length, dates)
+  }, [displayBookings, rooms, dates])
 
-  const multiGridRef = useRef(null)
   const RESOURCE_COLUMN_WIDTH = 200
-  const HEADER_HEIGHT = 50
+  const HEADER_HEIGHT = zoom === 'day' ? 50 : 28
+  const BAND_HEIGHT = 24
   const OVERSCAN_COLUMN_COUNT = 5
   const OVERSCAN_ROW_COUNT = 3
+
+  const containerHeight = 500
+  const gridWidth = window?.innerWidth || 1200
+  const viewportWidth = gridWidth - RESOURCE_COLUMN_WIDTH
+
+  const multiGridRef = useRef(null)
+  const footerGridRef = useRef(null)
+  const bandHeaderRef = useRef(null)
+
+  // One-shot horizontal scroll request; cleared after MultiGrid has applied it
+  const [scrollLeftTarget, setScrollLeftTarget] = useState()
+
+  useEffect(() => {
+    if (scrollLeftTarget !== undefined) setScrollLeftTarget(undefined)
+  }, [scrollLeftTarget])
+
+  // One-shot scrollToRow/scrollToColumn request (grid indices, including the header row and
+  // resource column) that brings a cell into view
+  const [scrollToCell, setScrollToCell] = useState(null)
+
+  useEffect(() => {
+    if (scrollToCell) setScrollToCell(null)
+  }, [scrollToCell])
+
+  const onRangeRequestRef = useRef(onRangeRequest)
+  onRangeRequestRef.current = onRangeRequest
+
+  // The column and viewport widths only position the scroll, they don't invalidate the range
+  const columnWidthRef = useRef(columnWidth)
+  columnWidthRef.current = columnWidth
+  const viewportWidthRef = useRef(viewportWidth)
+  viewportWidthRef.current = viewportWidth
+  const rangeRef = useRef(range)
+  rangeRef.current = range
+
+  // Reset the rendered range whenever the window is moved through navigation
+  // Compressed zoom levels fit more days than daysToShow on screen, so the range covers at least the viewport.
+  // A longer daysToShow only adds days at the end, keeping the scroll position.
+  const previousWindowRef = useRef(null)
+
+  useEffect(() => {
+    const previous = previousWindowRef.current
+    previousWindowRef.current = { startDate, daysToShow }
+
+    if (previous?.startDate === startDate) {
+      const end = addDays(rangeRef.current.start, rangeRef.current.days)
+      const neededEnd = addDays(startDate, daysToShow)
+      const extraDays = nightsBetween(end, neededEnd)
+      if (extraDays <= 0) return
+
+      setRange({ start: rangeRef.current.start, days: rangeRef.current.days + extraDays })
+      onRangeRequestRef.current?.(end, neededEnd)
+      return
+    }
+
+    const start = addDays(startDate, -EXTEND_DAYS)
+    const visibleDays = Math.ceil(viewportWidthRef.current / columnWidthRef.current) + EDGE_THRESHOLD_DAYS
+    const days = Math.max(daysToShow, visibleDays) + EXTEND_DAYS
+
+    setRange({ start, days })
+    setScrollLeftTarget(EXTEND_DAYS * columnWidthRef.current)
+    onRangeRequestRef.current?.(start, addDays(start, days))
+  }, [startDate, daysToShow])
+
+  const handleStartDateChange = useCallback((date) => {
+    setInternalStartDate(date)
+    setSelection(null)
+    onStartDateChange?.(date)
+
+    // Same start date: the range doesn't reset, so scroll back to it explicitly
+    if (date === startDate) {
+      setScrollLeftTarget(nightsBetween(range.start, date) * columnWidth)
+    }
+  }, [onStartDateChange, startDate, range.start, columnWidth])
+
+  const lastScrollLeftRef = useRef(0)
+  const extendingRef = useRef(false)
+
+  const handleZoomChange = useCallback((level) => {
+    setInternalZoom(level)
+    onZoomChange?.(level)
+  }, [onZoomChange])
+
+  // Keep the date at the centre of the viewport in place when the column width changes,
+  // extending the range when the new scale shows more days than it holds
+  const previousColumnWidthRef = useRef(columnWidth)
+
+  useEffect(() => {
+    const previousColumnWidth = previousColumnWidthRef.current
+    if (previousColumnWidth === columnWidth) return
+    previousColumnWidthRef.current = columnWidth
+
+    // Only a change of scale moves the scroll position, so the range and viewport are read through refs
+    const range = rangeRef.current
+    const viewportWidth = viewportWidthRef.current
+    const halfViewportDays = viewportWidth / 2 / columnWidth
+    const centreDay = (lastScrollLeftRef.current + viewportWidth / 2) / previousColumnWidth
+    const daysBefore = Math.max(0, Math.ceil(halfViewportDays - centreDay) + EDGE_THRESHOLD_DAYS)
+    const daysAfter = Math.max(0, Math.ceil(centreDay + halfViewportDays) + EDGE_THRESHOLD_DAYS - range.days)
+
+    if (daysBefore || daysAfter) {
+      const start = addDays(range.start, -daysBefore)
+      const end = addDays(range.start, range.days)
+
+      setRange({ start, days: range.days + daysBefore + daysAfter })
+      if (daysBefore) onRangeRequestRef.current?.(start, range.start)
+      if (daysAfter) onRangeRequestRef.current?.(end, addDays(end, daysAfter))
+    }
+
+    setScrollLeftTarget(Math.max(0, (centreDay + daysBefore) * columnWidth - viewportWidth / 2))
+  }, [columnWidth])
+
+  useEffect(() => {
+    extendingRef.current = false
+  }, [range])
+
+  /**
+   * Extend the timeline when the user scrolls near either horizontal edge.
+   * Prepending shifts the scroll position by the added width so the visible dates stay put.
+   */
+  const handleGridScroll = useCallback(({ scrollLeft, clientWidth, scrollWidth }) => {
+    const previousScrollLeft = lastScrollLeftRef.current
+    lastScrollLeftRef.current = scrollLeft
+    footerGridRef.current?.scrollToPosition({ scrollLeft, scrollTop: 0 })
+    if (bandHeaderRef.current) bandHeaderRef.current.scrollLeft = scrollLeft
+
+    if (extendingRef.current || !clientWidth) return
+
+    const threshold = EDGE_THRESHOLD_DAYS * columnWidth
+
+    if (scrollLeft < previousScrollLeft && scrollLeft < threshold) {
+      extendingRef.current = true
+      const start = addDays(range.start, -EXTEND_DAYS)
+
+      setRange({ start, days: range.days + EXTEND_DAYS })
+      setScrollLeftTarget(scrollLeft + EXTEND_DAYS * columnWidth)
+      onRangeRequest?.(start, range.start)
+    } else if (scrollLeft > previousScrollLeft && scrollLeft + clientWidth > scrollWidth - threshold) {
+      extendingRef.current = true
+      const end = addDays(range.start, range.days)
+
+      setRange({ start: range.start, days: range.days + EXTEND_DAYS })
+      onRangeRequest?.(end, addDays(end, EXTEND_DAYS))
+    }
+  }, [range, columnWidth, onRangeRequest])
+
+  // Booking chosen in the guest search, waiting for its row and date to be rendered
+  const [jumpTarget, setJumpTarget] = useState(null)
+  const [highlightedBookingId, setHighlightedBookingId] = useState(null)
+
+  /**
+   * Bring a booking into view without filtering the grid: expand its group, clear the room filters
+   * hiding it and move the timeline to it when needed, then scroll to its row and check-in and pulse the bar
+   */
+  const jumpToBooking = useCallback((booking) => {
+    const parent = groupedResources.find(p => (p.children || []).some(child => child.id === booking.resourceId))
+    if (parent && !parent.expanded) setGroupsExpanded([parent.id], true)
+
+    const isRoomShown = visibleRows.some(r => r.type === 'child' && r.id === booking.resourceId)
+    const isGroupCollapsed = parent && !parent.expanded && visibleRows.some(r => r.id === parent.id)
+    if (!isRoomShown && !isGroupCollapsed) {
+      setSearchTerm('')
+      setSelectedBookingId('')
+      updateFilters({ hideUnmatchedRooms: false })
+    }
+
+    const lastDate = dates[dates.length - 1]
+    if (booking.endDate <= dates[0] || booking.startDate > lastDate) {
+      handleStartDateChange(booking.startDate)
+    }
+
+    setJumpTarget(booking)
+  }, [groupedResources, setGroupsExpanded, visibleRows, dates, handleStartDateChange, setSearchTerm, setSelectedBookingId, updateFilters])
+
+  useEffect(() => {
+    if (!jumpTarget) return
+
+    const rowIndex = visibleRows.findIndex(r => r.type === 'child' && r.id === jumpTarget.resourceId)
+    const dateIndex = Math.max(0, dates.indexOf(jumpTarget.startDate))
+    if (rowIndex === -1 || !dates.length || jumpTarget.startDate > dates[dates.length - 1]) return
+
+    setJumpTarget(null)
+    setScrollToCell({ row: rowIndex + 1, column: dateIndex + 1 })
+    setHighlightedBookingId(jumpTarget.id)
+  }, [jumpTarget, visibleRows, dates])
+
+  // The highlight pulses for a few seconds, then the bar goes back to normal
+  useEffect(() => {
+    if (!highlightedBookingId) return
+    const timer = setTimeout(() => setHighlightedBookingId(null), 3000)
+    return () => clearTimeout(timer)
+  }, [highlightedBookingId])
+
+  /**
+   * Move the keyboard focus to a cell, by index into visibleRows and dates
+   */
+  const focusCellAt = useCallback((rowIndex, dateIndex) => {
+    const row = visibleRows[Math.max(0, Math.min(rowIndex, visibleRows.length - 1))]
+    const date = dates[Math.max(0, Math.min(dateIndex, dates.length - 1))]
+    if (!row || !date) return
+
+    setFocusCell({ resourceId: row.id, date })
+    setFocusedBookingId(null)
+    setScrollToCell({ row: visibleRows.indexOf(row) + 1, column: dates.indexOf(date) + 1 })
+  }, [visibleRows, dates])
+
+  const handleGridFocus = useCallback((e) => {
+    if (e.target !== e.currentTarget) return
+    setGridHasFocus(true)
+
+    // Start from the first row at the navigation start date
+    const hasFocusCell = focusCell && visibleRows.some(r => r.id === focusCell.resourceId) && dates.includes(focusCell.date)
+    if (!hasFocusCell) focusCellAt(0, Math.max(0, dates.indexOf(startDate)))
+  }, [focusCell, visibleRows, dates, startDate, focusCellAt])
+
+  /**
+   * Move to the next or previous booking of the focused row, starting from the focused booking
+   * or date. Returns false when there is none, so Tab can leave the grid.
+   */
+  const focusAdjacentBooking = useCallback((row, rowIndex, backwards) => {
+    const rowBookings = (bookingLayout.get(row.id)?.bookings || [])
+      .filter(b => b.endDate > dates[0] && b.startDate <= dates[dates.length - 1])
+      .sort((a, b) => a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0)
+
+    const currentIndex = rowBookings.findIndex(b => b.id === focusedBookingId)
+    let next
+    if (currentIndex !== -1) {
+      next = rowBookings[currentIndex + (backwards ? -1 : 1)]
+    } else if (backwards) {
+      next = rowBookings.filter(b => b.startDate < focusCell.date).pop()
+    } else {
+      next = rowBookings.find(b => b.endDate > focusCell.date)
+    }
+    if (!next) return false
+
+    // Bookings that start before the timeline are anchored to its first date
+    const date = next.startDate < dates[0] ? dates[0] : next.startDate
+    setFocusCell({ resourceId: row.id, date })
+    setFocusedBookingId(next.id)
+    setScrollToCell({ row: rowIndex + 1, column: dates.indexOf(date) + 1 })
+    return true
+  }, [bookingLayout, dates, focusedBookingId, focusCell])
+
+  const handleGridKeyDown = useCallback((e) => {
+    const rowIndex = focusCell ? visibleRows.findIndex(r => r.id === focusCell.resourceId) : -1
+    const dateIndex = focusCell ? dates.indexOf(focusCell.date) : -1
+    if (rowIndex === -1 || dateIndex === -1) return
+
+    const row = visibleRows[rowIndex]
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault()
+        const [rowDelta, dateDelta] = ARROW_DELTAS[e.key]
+        const nextRowIndex = Math.max(0, Math.min(rowIndex + rowDelta, visibleRows.length - 1))
+        const nextDateIndex = Math.max(0, Math.min(dateIndex + dateDelta, dates.length - 1))
+        const hasAnchor = !!(selection && selectionAnchorRef.current)
+
+        // Shift extends the selection from the cell where it started, across rooms when moving
+        // up or down; plain arrows drop it
+        if (e.shiftKey && (hasAnchor || row.type === 'child')) {
+          const anchor = hasAnchor ? selectionAnchorRef.current : { resourceId: row.id, date: focusCell.date }
+          const date = dates[nextDateIndex]
+          selectionAnchorRef.current = anchor
+          setSelection({
+            resourceId: anchor.resourceId,
+            resourceIds: getSelectionRooms(anchor.resourceId, visibleRows[nextRowIndex].id) ||
+              selection?.resourceIds || [anchor.resourceId],
+            startDate: anchor.date < date ? anchor.date : date,
+            endDate: anchor.date < date ? date : anchor.date
+          })
+        } else {
+          selectionAnchorRef.current = null
+          setSelection(null)
+        }
+
+        focusCellAt(nextRowIndex, nextDateIndex)
+        break
+      }
+      case 'Tab':
+        if (focusAdjacentBooking(row, rowIndex, e.shiftKey)) e.preventDefault()
+        break
+      case 'Enter': {
+        e.preventDefault()
+        if (focusedBookingId) {
+          const booking = bookings.find(b => b.id === focusedBookingId)
+          if (!booking) break
+          restoreGridFocusRef.current = true
+          handleBookingClick(booking)
+        } else if (row.type === 'parent') {
+          handleToggleExpand(row.id)
+        } else {
+          if (!selection?.resourceIds?.includes(row.id)) {
+            setSelection({ resourceId: row.id, resourceIds: [row.id], startDate: focusCell.date, endDate: focusCell.date })
+          }
+          restoreGridFocusRef.current = true
+          setModalOpen(true)
+        }
+        break
+      }
+      case 'Escape':
+        selectionAnchorRef.current = null
+        setSelection(null)
+        setFocusedBookingId(null)
+        break
+      default:
+        break
+    }
+  }, [
+    focusCell, focusedBookingId, visibleRows, dates, selection, bookings,
+    focusCellAt, focusAdjacentBooking, getSelectionRooms, handleBookingClick, handleToggleExpand
+  ])
+
+  const activeDescendantId = focusedBookingId
+    ? getBookingElementId(focusedBookingId)
+    : focusCell ? getCellElementId(focusCell.resourceId, focusCell.date) : undefined
+
+  // Rooms grow one lane per stacked booking so overlapping stays stay visible
+  const getRowHeight = ({ index }) => {
+    if (index === 0) return HEADER_HEIGHT
+    const row = visibleRows[index - 1]
+    const laneCount = row?.type === 'child' ? bookingLayout.get(row.id)?.laneCount || 1 : 1
+    return rowHeight * laneCount
+  }
+
+  useEffect(() => {
+    multiGridRef.current?.recomputeGridSize()
+  }, [visibleRows, bookingLayout, rowHeight, HEADER_HEIGHT, columnWidth])
+
+  // Rows and dates MultiGrid currently renders (including overscan), as indices into visibleRows and dates
+  const [renderedSection, setRenderedSection] = useState(null)
+
+  const handleSectionRendered = useCallback(({ overscanRowStartIndex, overscanRowStopIndex, overscanColumnStartIndex, overscanColumnStopIndex }) => {
+    setRenderedSection(prev => (
+      prev?.rowStart === overscanRowStartIndex && prev?.rowStop === overscanRowStopIndex &&
+        prev?.columnStart === overscanColumnStartIndex && prev?.columnStop === overscanColumnStopIndex
+        ? prev
+        : { rowStart: overscanRowStartIndex, rowStop: overscanRowStopIndex, columnStart: overscanColumnStartIndex, columnStop: overscanColumnStopIndex }
+    ))
+  }, [])
+
+  // One ARIA row per rendered grid row, owning its header and the rendered cells of its dates
+  const ariaRows = useMemo(() => {
+    if (!renderedSection) return []
+
+    const renderedDates = dates.slice(renderedSection.columnStart, renderedSection.columnStop + 1)
+    const headerRow = {
+      key: 'header',
+      rowIndex: 1,
+      owns: [CORNER_HEADER_ELEMENT_ID, ...renderedDates.map(getColumnHeaderElementId)]
+    }
+
+    const bodyRows = visibleRows
+      .slice(renderedSection.rowStart, renderedSection.rowStop + 1)
+      .map((row, i) => ({
+        key: row.id,
+        rowIndex: renderedSection.rowStart + i + 2,
+        owns: [getRowHeaderElementId(row.id), ...renderedDates.map(date => getCellElementId(row.id, date))]
+      }))
+
+    return [headerRow, ...bodyRows]
+  }, [renderedSection, dates, visibleRows])
   
+  // MultiGrid renders cells without row elements; the rows below the grid claim them through aria-owns
   const cellRenderer = ({ columnIndex, key, rowIndex, style }) => {
     if (rowIndex === 0) {
       if (columnIndex === 0) {
         return (
-          <div key={key} style={style} className="bg-gray-50 border-r border-b border-gray-200 flex items-center justify-center font-semibold">
-            Resources
+          <div key={key} style={style}>
+            <div
+              id={CORNER_HEADER_ELEMENT_ID}
+              role="columnheader"
+              aria-colindex={1}
+              className="h-full bg-gray-50 border-r border-b border-gray-200 flex items-center justify-center font-semibold"
+            >
+              Resources
+            </div>
           </div>
         )
       }
       const date = dates[columnIndex - 1]
       return (
         <div key={key} style={style}>
-          <DateHeader date={date} cellWidth={cellWidth} />
+          <div
+            id={getColumnHeaderElementId(date)}
+            role="columnheader"
+            aria-colindex={columnIndex + 1}
+            aria-label={dayjs(date).format('dddd, MMMM D, YYYY')}
+          >
+            <DateHeader date={date} cellWidth={columnWidth} zoom={zoom} />
+          </div>
         </div>
       )
     }
@@ -164,104 +1074,281 @@ const VirtualizedScheduler = ({
     
     if (columnIndex === 0) {
       return (
-        <div
-          key={key}
-          style={style}
-          className={`border-r border-b border-gray-200 bg-white flex items-center px-2 ${
-            row.type === 'parent'
-              ? 'font-semibold bg-gray-50'
-              : 'pl-8 text-gray-700'
-          }`}
-        >
-          {row.type === 'parent' && (
-            <button
-              onClick={() => handleToggleExpand(row.id)}
-              className="mr-2 p-1 hover:bg-gray-200 rounded"
-            >
-              ▶
-            </button>
-          )}
-          <span className="truncate">{row.name}</span>
+        <div key={key} style={style}>
+          <div
+            id={getRowHeaderElementId(row.id)}
+            role="rowheader"
+            aria-colindex={1}
+            aria-expanded={row.type === 'parent' ? !!row.expanded : undefined}
+            className={`h-full border-r border-b border-gray-200 bg-white flex items-center px-2 ${
+              row.type === 'parent'
+                ? 'font-semibold bg-gray-50'
+                : 'pl-8 text-gray-700'
+            }`}
+          >
+            {row.type === 'parent' && (
+              <button
+                onClick={() => handleToggleExpand(row.id)}
+                className="mr-2 p-1 hover:bg-gray-200 rounded"
+                tabIndex={-1}
+                aria-label={`${row.expanded ? 'Collapse' : 'Expand'} ${row.name}`}
+              >
+                ▶
+              </button>
+            )}
+            <span className="truncate">{row.name}</span>
+          </div>
         </div>
       )
     }
     
     const date = dates[columnIndex - 1]
+    const isFocusCell = gridHasFocus && !focusedBookingId &&
+      focusCell?.resourceId === row.id && focusCell?.date === date
+
+    if (row.type === 'parent') {
+      const occupancy = groupOccupancy.get(row.id)
+      return (
+        <div key={key} style={style}>
+          <div
+            id={getCellElementId(row.id, date)}
+            role="gridcell"
+            aria-colindex={columnIndex + 1}
+            className={`h-full border-b border-r border-gray-100 bg-gray-50 ${
+              isFocusCell ? 'ring-2 ring-inset ring-blue-500' : ''
+            }`}
+          >
+            <GroupOccupancyCell
+              occupied={occupancy?.counts[columnIndex - 1]}
+              total={occupancy?.total}
+            />
+          </div>
+        </div>
+      )
+    }
+
+    const dropTarget = dragState?.dropTarget
+    const isDropTarget = dropTarget?.resourceId === row.id &&
+      date >= dropTarget.startDate && date < dropTarget.endDate
+    const isSelected = !!selection?.resourceIds?.includes(row.id) &&
+      date >= (selection.startDate < selection.endDate ? selection.startDate : selection.endDate) &&
+      date <= (selection.startDate < selection.endDate ? selection.endDate : selection.startDate)
+    const resourceLayout = bookingLayout.get(row.id)
+    const roomCleaningHours = cleaningHours.get(row.id) || 0
+    // A new stay would check in on the selection's first day
+    const isTurnoverWarning = (isDropTarget && date === dropTarget.startDate && dropTarget.turnoverConflict) ||
+      (isSelected && !isSelecting && date === (selection.startDate < selection.endDate ? selection.startDate : selection.endDate) &&
+        !!getTurnoverConflict(row.id, date))
+
     return (
       <div key={key} style={style} className="border-b border-gray-200 relative">
         <div 
-          className="w-full h-full border-r border-gray-100 hover:bg-blue-50 cursor-pointer flex items-center justify-center"
+          className={`w-full h-full border-r border-gray-100 cursor-pointer flex items-center justify-center ${
+            isTurnoverWarning ? 'bg-amber-100 ring-2 ring-inset ring-amber-400'
+              : isDropTarget ? 'bg-green-100 ring-2 ring-inset ring-green-400'
+              : isSelected ? 'bg-blue-100'
+              : 'hover:bg-blue-50'
+          } ${isFocusCell ? 'ring-2 ring-inset ring-blue-500' : ''}`}
+          id={getCellElementId(row.id, date)}
+          role="gridcell"
+          aria-colindex={columnIndex + 1}
+          aria-selected={isSelected}
+          aria-label={`${row.name}, ${dayjs(date).format('dddd, MMMM D')}`}
           data-date={date}
           data-resource-id={row.id}
-          onMouseDown={(e) => handleCellMouseDown(date, row.id, e)}
-          onMouseEnter={() => handleCellMouseEnter(date, row.id)}
+          onPointerDown={(e) => handleCellPointerDown(date, row.id, e)}
         >
-          {bookings
-            .filter(b => b.resourceId === row.id)
+          {/* Cleaning buffer from the checkout hour, in the lane of the guest leaving; the same
+              window findTurnoverConflict checks, clipped to the end of the day */}
+          {roomCleaningHours > 0 && (resourceLayout?.bookings || [])
+            .filter(booking => booking.endDate === date && !isBookingCancelled(booking))
+            .map(booking => (
+              <div
+                key={`cleaning-${booking.id}`}
+                className="absolute rounded border border-gray-300 pointer-events-none"
+                style={{
+                  left: checkoutHour / 24 * columnWidth,
+                  top: `${resourceLayout.lanes.get(booking.id) * rowHeight + 4}px`,
+                  width: `${Math.max(2, Math.min(roomCleaningHours, 24 - checkoutHour) / 24 * columnWidth)}px`,
+                  height: `${rowHeight - 10}px`,
+                  backgroundImage: 'repeating-linear-gradient(135deg, #d1d5db 0, #d1d5db 2px, transparent 2px, transparent 6px)'
+                }}
+                aria-hidden="true"
+              />
+            ))}
+          {(resourceLayout?.bookings || [])
             .filter(booking => {
-              // Subtract 1 day from endDate since checkout date should not be included
-              const displayEndDate = new Date(new Date(booking.endDate).getTime() - 24 * 60 * 60 * 1000)
-                .toISOString().split('T')[0]
-              
-              // Show booking if it overlaps with visible range using same logic as BookingBlock
-              const startIdx = dates.indexOf(booking.startDate)
-              const endIdx = dates.indexOf(displayEndDate)
-              
-              const bookingStartsBeforeRange = startIdx === -1 && booking.startDate < dates[0]
-              const bookingEndsAfterRange = endIdx === -1 && displayEndDate > dates[dates.length - 1]
-              const bookingSpansEntireRange = bookingStartsBeforeRange && bookingEndsAfterRange
-              const bookingOverlapsRange = startIdx !== -1 || endIdx !== -1 || bookingSpansEntireRange
-              
-              return bookingOverlapsRange
+              // Only render on the first visible date of the booking, using the same span as the bar
+              const span = getBookingSpan(booking, dates, columnWidth, isHotelMode)
+              return span?.firstIndex === columnIndex - 1
             })
-            .filter(booking => {
-              // Only render on the first visible date of the booking
-              const startIdx = dates.indexOf(booking.startDate)
-              const visibleStartIdx = Math.max(0, startIdx === -1 ? 0 : startIdx)
-              return dates[visibleStartIdx] === date
+            .map(booking => {
+              const isBookingDragged = dragState?.draggedBooking?.id === booking.id
+              // Cancelled bookings can be opened but not moved or resized
+              const isEditable = !isBookingCancelled(booking)
+              const split = splitGroups.get(booking.id)
+
+              return (
+                <GridBookingCell
+                  key={booking.id}
+                  id={getBookingElementId(booking.id)}
+                  booking={booking}
+                  dates={dates}
+                  cellWidth={columnWidth}
+                  lane={resourceLayout.lanes.get(booking.id)}
+                  laneHeight={rowHeight}
+                  isConflict={resourceLayout.conflicts.has(booking.id)}
+                  isTurnoverConflict={!!turnoverConflicts.get(row.id)?.has(booking.id)}
+                  isDragging={isBookingDragged}
+                  isFocused={gridHasFocus && focusedBookingId === booking.id}
+                  isHighlighted={highlightedBookingId === booking.id}
+                  hotelMode={isHotelMode}
+                  isDimmed={!!matchingBookingIds && !matchingBookingIds.has(booking.id)}
+                  split={split}
+                  isSplitHighlighted={!!split && split.key === hoveredSplitKey}
+                  onSplitHover={setHoveredSplitKey}
+                  dragOffset={isBookingDragged ? dragState.dragOffset : undefined}
+                  onBookingClick={handleBookingClick}
+                  onBookingDragStart={isEditable ? handleBookingDragStart : undefined}
+                  onBookingResizeStart={isEditable ? handleBookingResizeStart : undefined}
+                />
+              )
             })
-            .map(booking => (
-              <GridBookingCell
-                key={booking.id}
-                booking={booking}
-                dates={dates}
-                cellWidth={cellWidth}
-                onBookingClick={handleBookingClick}
-              />
-            ))
           }
         </div>
       </div>
     )
   }
 
-  const containerHeight = 500
-
   return (
     <div className="w-full h-full flex flex-col bg-white select-none">
       <FilterBar
         searchTerm={searchTerm}
         onSearchChange={setSearchTerm}
         bookings={bookings}
+        rooms={rooms}
         selectedBookingId={selectedBookingId}
         onBookingIdChange={setSelectedBookingId}
+        onGuestSelect={jumpToBooking}
         onClearFilters={() => {
           setSearchTerm('')
           setSelectedBookingId('')
+          updateFilters({ values: {} })
         }}
+        filters={attributeFilters}
+        filterOptions={filterOptions}
+        onFiltersChange={(values) => updateFilters({ values })}
+        filterMode={filterMode}
+        onFilterModeChange={(mode) => updateFilters({ mode })}
+        hideUnmatchedRooms={hideUnmatchedRooms}
+        onHideUnmatchedRoomsChange={(hide) => updateFilters({ hideUnmatchedRooms: hide })}
+      >
+        {(onUndo || onRedo) && (
+          <HistoryControls
+            onUndo={onUndo}
+            onRedo={onRedo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            undoLabel={undoLabel}
+            redoLabel={redoLabel}
+          />
+        )}
+        <DateNavigator
+          startDate={startDate}
+          endDate={addDays(startDate, daysToShow - 1)}
+          onPrevious={() => handleStartDateChange(addDays(startDate, -daysToShow))}
+          onNext={() => handleStartDateChange(addDays(startDate, daysToShow))}
+          onToday={() => handleStartDateChange(dayjs().format('YYYY-MM-DD'))}
+          onDateChange={handleStartDateChange}
+        />
+        <ZoomControl zoom={zoom} levels={ZOOM_LEVELS} onZoomChange={handleZoomChange} />
+        <GroupingControl
+          groupBy={groupBy}
+          groupings={GROUPINGS}
+          onGroupByChange={setGroupBy}
+          onExpandAll={() => setGroupsExpanded(groupedResources.map(r => r.id), true)}
+          onCollapseAll={() => setGroupsExpanded(groupedResources.map(r => r.id), false)}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showCancelledBookings}
+            onChange={(e) => setShowCancelledBookings(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Show cancelled
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showRateTotals}
+            onChange={(e) => setShowRateTotals(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          ADR / RevPAR
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={isHotelMode}
+            onChange={(e) => setIsHotelMode(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Half-day check-in/out
+        </label>
+        {onSettingsChange && (
+          <SettingsPopover
+            values={{ cellWidth, rowHeight, daysToShow }}
+            onChange={onSettingsChange}
+            onReset={onSettingsReset}
+          />
+        )}
+      </FilterBar>
+
+      <TimeBandHeader
+        dates={dates}
+        unit={zoomLevel.band}
+        cellWidth={columnWidth}
+        labelWidth={RESOURCE_COLUMN_WIDTH}
+        width={gridWidth}
+        height={BAND_HEIGHT}
+        scrollRef={bandHeaderRef}
       />
 
-      <div className="flex-1" style={{ height: containerHeight }}>
+      <div
+        ref={gridElementRef}
+        className="flex-1 focus:outline-none [-webkit-touch-callout:none]"
+        style={{ height: containerHeight }}
+        role="grid"
+        aria-label="Room bookings"
+        aria-rowcount={visibleRows.length + 1}
+        aria-colcount={dates.length + 1}
+        aria-multiselectable="true"
+        aria-activedescendant={gridHasFocus ? activeDescendantId : undefined}
+        tabIndex={0}
+        onFocus={handleGridFocus}
+        onBlur={(e) => e.target === e.currentTarget && setGridHasFocus(false)}
+        onKeyDown={handleGridKeyDown}
+        onContextMenu={(e) => e.nativeEvent.pointerType === 'touch' && e.preventDefault()}
+      >
         <MultiGrid
           ref={multiGridRef}
           cellRenderer={cellRenderer}
           columnCount={dates.length + 1}
           rowCount={visibleRows.length + 1}
-          columnWidth={({ index }) => index === 0 ? RESOURCE_COLUMN_WIDTH : cellWidth}
-          rowHeight={({ index }) => index === 0 ? HEADER_HEIGHT : rowHeight}
+          columnWidth={({ index }) => index === 0 ? RESOURCE_COLUMN_WIDTH : columnWidth}
+          rowHeight={getRowHeight}
           fixedColumnCount={1}
           fixedRowCount={1}
-          width={window?.innerWidth || 1200}
+          scrollLeft={scrollLeftTarget}
+          scrollToRow={scrollToCell?.row}
+          scrollToColumn={scrollToCell?.column}
+          onScroll={handleGridScroll}
+          onSectionRendered={handleSectionRendered}
+          role="presentation"
+          containerRole="presentation"
+          tabIndex={null}
+          width={gridWidth}
           height={containerHeight}
           overscanColumnCount={OVERSCAN_COLUMN_COUNT}
           overscanRowCount={OVERSCAN_ROW_COUNT}
@@ -271,15 +1358,34 @@ const VirtualizedScheduler = ({
           styleTopRightGrid={{ outline: 'none' }}
           className="scheduler-grid"
         />
+        {ariaRows.map(row => (
+          <div key={row.key} role="row" aria-rowindex={row.rowIndex} aria-owns={row.owns.join(' ')} />
+        ))}
       </div>
 
+      <TotalsFooter
+        totals={dailyTotals}
+        showRates={showRateTotals}
+        cellWidth={columnWidth}
+        labelWidth={RESOURCE_COLUMN_WIDTH}
+        width={gridWidth}
+        gridRef={footerGridRef}
+      />
+
       <BookingModal
         isOpen={modalOpen}
         selection={selection}
         booking={selectedBooking}
-        resource={visibleRows.find(r => r.id === (selectedBooking?.resourceId || selection?.resourceId))}
+        resource={rooms.find(room => room.id === (selectedBooking?.resourceId || selection?.resourceId))}
+        rooms={rooms}
+        splitSegments={splitGroups.get(selectedBooking?.id)?.segments}
+        onSelectSegment={setSelectedBooking}
+        getTurnoverConflict={getTurnoverConflict}
+        blockTurnoverCheckIns={blockTurnoverCheckIns}
         onClose={handleModalClose}
         onConfirm={handleBookingConfirm}
+        onCancelReservation={onBookingUpdate ? handleCancelReservation : undefined}
+        onDelete={onBookingDelete ? handleBookingDelete : undefined}
       />
     </div>
   )
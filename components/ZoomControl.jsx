@@ -0,0 +1,29 @@
+import React from 'react'
+
+/**
+ * ZoomControl - Segmented toolbar control for the timeline scale
+ * @param {Object} props
+ * @param {string} props.zoom - Active zoom level id
+ * @param {Array} props.levels - Zoom levels as { id, label }
+ * @param {Function} props.onZoomChange - Handler called with the selected level id
+ */
+const ZoomControl = ({ zoom, levels, onZoomChange }) => {
+  return (
+    <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Zoom">
+      {levels.map(level => (
+        <button
+          key={level.id}
+          onClick={() => onZoomChange(level.id)}
+          aria-pressed={zoom === level.id}
+          className={`px-3 py-2 text-sm transition-colors border-r border-gray-300 last:border-r-0 ${
+            zoom === level.id ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          {level.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default ZoomControl
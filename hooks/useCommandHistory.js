@@ -0,0 +1,62 @@
+import { useState, useRef, useCallback } from 'react'
+
+/**
+ * useCommandHistory - Undo and redo stacks of reversible commands
+ * A command is { label, undo, redo }; undo and redo may be async and never run concurrently.
+ * A command that fails to undo or redo stays where it was. Recording a command clears the redo stack.
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of commands kept for undo (default: 50)
+ * @returns {Object} record, undo and redo functions, canUndo/canRedo flags and the undoLabel/redoLabel
+ *   of the commands they would apply; undo and redo resolve to the command applied, or null
+ */
+const useCommandHistory = ({ limit = 50 } = {}) => {
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const [isBusy, setIsBusy] = useState(false)
+
+  // Mirrors for the async undo/redo, which must see the latest stacks
+  const historyRef = useRef(history)
+  historyRef.current = history
+  const busyRef = useRef(false)
+
+  const record = useCallback((command) => {
+    setHistory(prev => ({ past: [...prev.past, command].slice(-limit), future: [] }))
+  }, [limit])
+
+  const apply = useCallback(async (from) => {
+    const stack = historyRef.current[from]
+    const command = from === 'past' ? stack[stack.length - 1] : stack[0]
+    if (!command || busyRef.current) return null
+
+    busyRef.current = true
+    setIsBusy(true)
+    try {
+      await (from === 'past' ? command.undo() : command.redo())
+    } catch (err) {
+      console.error(`Failed to ${from === 'past' ? 'undo' : 'redo'} "${command.label}"`, err)
+      return null
+    } finally {
+      busyRef.current = false
+      setIsBusy(false)
+    }
+
+    setHistory(prev => from === 'past'
+      ? { past: prev.past.slice(0, -1), future: [command, ...prev.future] }
+      : { past: [...prev.past, command], future: prev.future.slice(1) })
+    return command
+  }, [])
+
+  const undo = useCallback(() => apply('past'), [apply])
+  const redo = useCallback(() => apply('future'), [apply])
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: !isBusy && history.past.length > 0,
+    canRedo: !isBusy && history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[0]?.label || null
+  }
+}
+
+export default useCommandHistory
@@ -0,0 +1,51 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+
+/**
+ * useHoverIntent - Opens a hover card after the pointer rests on an element
+ * Closing is delayed slightly so the pointer can travel from the element onto the card.
+ * Only mouse pointers hover; touch and pen presses never open the card.
+ * @param {Object} options
+ * @param {number} options.openDelay - Delay before opening in ms (default: 400)
+ * @param {number} options.closeDelay - Delay before closing in ms (default: 150)
+ * @returns {Object} anchorRect (DOMRect of the hovered element, or null when closed) and handlers
+ */
+const useHoverIntent = ({ openDelay = 400, closeDelay = 150 } = {}) => {
+  const [anchorRect, setAnchorRect] = useState(null)
+  const openTimerRef = useRef(null)
+  const closeTimerRef = useRef(null)
+
+  const clearTimers = useCallback(() => {
+    clearTimeout(openTimerRef.current)
+    clearTimeout(closeTimerRef.current)
+  }, [])
+
+  useEffect(() => clearTimers, [clearTimers])
+
+  const onPointerEnter = useCallback((e) => {
+    if (e.pointerType && e.pointerType !== 'mouse') return
+    clearTimers()
+    const target = e.currentTarget
+    openTimerRef.current = setTimeout(() => {
+      setAnchorRect(target.getBoundingClientRect())
+    }, openDelay)
+  }, [clearTimers, openDelay])
+
+  const onPointerLeave = useCallback(() => {
+    clearTimeout(openTimerRef.current)
+    closeTimerRef.current = setTimeout(() => setAnchorRect(null), closeDelay)
+  }, [closeDelay])
+
+  // Keeps the card open while the pointer is over it
+  const keepOpen = useCallback(() => {
+    clearTimeout(closeTimerRef.current)
+  }, [])
+
+  const close = useCallback(() => {
+    clearTimers()
+    setAnchorRect(null)
+  }, [clearTimers])
+
+  return { anchorRect, onPointerEnter, onPointerLeave, keepOpen, close }
+}
+
+export default useHoverIntent
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react'
+
+/**
+ * Read stored preferences over the defaults
+ * Unknown keys and values of the wrong type are dropped, so an outdated or edited entry
+ * can't break the page. A null default has no type to compare with, so its value is only
+ * kept when its validator accepts it.
+ */
+const loadPreferences = (storageKey, defaults, validators) => {
+  if (typeof window === 'undefined') return defaults
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey) || 'null')
+    if (!stored || typeof stored !== 'object') return defaults
+
+    const preferences = { ...defaults }
+    Object.keys(defaults).forEach(key => {
+      const value = stored[key]
+      if (value === undefined) return
+      const isValid = defaults[key] === null
+        ? value === null || !!validators[key]?.(value)
+        : typeof value === typeof defaults[key]
+      if (isValid) preferences[key] = value
+    })
+    return preferences
+  } catch (err) {
+    console.warn(`Could not read preferences from ${storageKey}:`, err.message)
+    return defaults
+  }
+}
+
+/**
+ * usePreferences - Per-browser preferences persisted in localStorage
+ * @param {string} storageKey - localStorage key
+ * @param {Object} defaults - Default value for every preference
+ * @param {Object} validators - Checks for the stored values of preferences that default to null,
+ *   e.g. { expandedIds: Array.isArray }
+ * @returns {Object} preferences, updatePreferences (merges changes) and resetPreferences
+ */
+const usePreferences = (storageKey, defaults, validators = {}) => {
+  const [preferences, setPreferences] = useState(() => loadPreferences(storageKey, defaults, validators))
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(preferences))
+    } catch (err) {
+      // Storage can be full or disabled (e.g. private browsing); preferences then last for the session
+      console.warn(`Could not save preferences to ${storageKey}:`, err.message)
+    }
+  }, [storageKey, preferences])
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  const resetPreferences = useCallback(() => {
+    setPreferences(defaults)
+  }, [defaults])
+
+  return { preferences, updatePreferences, resetPreferences }
+}
+
+export default usePreferences
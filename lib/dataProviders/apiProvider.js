@@ -0,0 +1,49 @@
+/**
+ * Data provider backed by this app's own /api route handlers (JSON files on disk)
+ * @param {Object} config
+ * @param {string} config.apiUrl - Base URL of the route handlers (default: /api)
+ * @returns {Object} Data provider
+ */
+export const createApiProvider = ({ apiUrl = '/api' } = {}) => {
+  const request = async (path, init) => {
+    const res = await fetch(`${apiUrl}${path}`, {
+      ...init,
+      headers: init?.body ? { 'Content-Type': 'application/json' } : undefined
+    })
+
+    if (res.status === 204) return null
+
+    const json = await res.json()
+    if (!res.ok) {
+      const details = json?.details ? `: ${json.details.join(', ')}` : ''
+      throw new Error(`${json?.error || res.statusText}${details}`)
+    }
+    return json.data
+  }
+
+  return {
+    name: 'api',
+
+    loadResources() {
+      return request('/resources')
+    },
+
+    loadBookings(range) {
+      const query = range ? `?${new URLSearchParams({ start: range.start, end: range.end })}` : ''
+      return request(`/bookings${query}`)
+    },
+
+    createBooking(booking) {
+      return request('/bookings', { method: 'POST', body: JSON.stringify(booking) })
+    },
+
+    updateBooking(id, changes) {
+      return request(`/bookings/${id}`, { method: 'PATCH', body: JSON.stringify(changes) })
+    },
+
+    async deleteBooking(id) {
+      await request(`/bookings/${id}`, { method: 'DELETE' })
+      return id
+    }
+  }
+}
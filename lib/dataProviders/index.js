@@ -0,0 +1,46 @@
+import { createRestProvider } from './restProvider'
+import { createLocalProvider } from './localProvider'
+import { createApiProvider } from './apiProvider'
+
+/**
+ * Data provider interface used by the scheduler page:
+ * - loadResources(): Promise<Array> of resource groups with children
+ * - loadBookings(range): Promise<Array> of bookings overlapping { start, end } (end exclusive)
+ * - createBooking(booking): Promise<Object> created booking with its assigned id
+ * - updateBooking(id, changes): Promise<Object> updated booking
+ * - deleteBooking(id): Promise<string> deleted booking id
+ */
+
+const DEFAULT_PROVIDER = 'rest'
+
+/**
+ * Read the data provider configuration from NEXT_PUBLIC_* environment variables
+ * @returns {Object} Provider configuration
+ */
+export const getDataProviderConfig = () => ({
+  provider: process.env.NEXT_PUBLIC_DATA_PROVIDER || DEFAULT_PROVIDER,
+  baseUrl: process.env.NEXT_PUBLIC_PMS_API_URL || 'https://aperfectstay.ai/api/aps-pms',
+  apiUrl: process.env.NEXT_PUBLIC_API_URL || '/api',
+  userId: process.env.NEXT_PUBLIC_PMS_USER_ID || '6351746143092736'
+})
+
+/**
+ * Create the configured data provider
+ * An unknown provider name falls back to the default with a warning, so a typo in the
+ * environment doesn't stop the page from loading.
+ * @param {Object} config - Provider configuration (defaults to getDataProviderConfig())
+ * @returns {Object} Data provider
+ */
+export const createDataProvider = (config = getDataProviderConfig()) => {
+  switch (config.provider) {
+    case 'local':
+      return createLocalProvider()
+    case 'api':
+      return createApiProvider(config)
+    case 'rest':
+      return createRestProvider(config)
+    default:
+      console.warn(`Unknown data provider "${config.provider}", using "${DEFAULT_PROVIDER}"`)
+      return createRestProvider(config)
+  }
+}
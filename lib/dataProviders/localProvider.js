@@ -0,0 +1,68 @@
+import { isBookingInRange, nextBookingId } from '../../utils/bookingUtils'
+
+/**
+ * Local data provider serving data/resources.json and data/bookings.json
+ * Changes are kept in memory for the lifetime of the page, which is enough to develop and demo offline.
+ * @returns {Object} Data provider
+ */
+export const createLocalProvider = () => {
+  let resources = null
+  let bookings = null
+  // Highest booking id handed out, so ids of deleted bookings aren't reused
+  let lastBookingId = 0
+
+  // The sample data is large, so it is only loaded when first needed
+  const load = async () => {
+    if (!resources || !bookings) {
+      const [resourcesModule, bookingsModule] = await Promise.all([
+        import('../../data/resources.json'),
+        import('../../data/bookings.json')
+      ])
+      resources = resourcesModule.default.map(group => ({ ...group }))
+      bookings = bookingsModule.default.map(booking => ({ ...booking }))
+    }
+  }
+
+  const findBooking = (id) => {
+    const booking = bookings.find(b => b.id === id)
+    if (!booking) throw new Error(`Booking ${id} not found`)
+    return booking
+  }
+
+  return {
+    name: 'local',
+
+    async loadResources() {
+      await load()
+      return resources
+    },
+
+    async loadBookings(range) {
+      await load()
+      return bookings.filter(booking => isBookingInRange(booking, range))
+    },
+
+    async createBooking(booking) {
+      await load()
+      const id = nextBookingId(bookings, lastBookingId)
+      lastBookingId = Number(id)
+      const created = { ...booking, id, booking_id: Number(id) }
+      bookings = [...bookings, created]
+      return created
+    },
+
+    async updateBooking(id, changes) {
+      await load()
+      const updated = { ...findBooking(id), ...changes, id }
+      bookings = bookings.map(b => b.id === id ? updated : b)
+      return updated
+    },
+
+    async deleteBooking(id) {
+      await load()
+      findBooking(id)
+      bookings = bookings.filter(b => b.id !== id)
+      return id
+    }
+  }
+}
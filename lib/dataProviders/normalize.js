@@ -0,0 +1,16 @@
+import dayjs from 'dayjs'
+
+/**
+ * Normalize a reservation from the PMS API into the scheduler booking shape
+ * The scheduler works with YYYY-MM-DD startDate/endDate (checkout exclusive) and a room resourceId.
+ * @param {Object} reservation - Reservation object as returned by the PMS
+ * @returns {Object} Booking object
+ */
+export const normalizeReservation = (reservation) => ({
+  ...reservation,
+  startDate: dayjs(reservation.start).format('YYYY-MM-DD'),
+  endDate: dayjs(reservation.end).format('YYYY-MM-DD'),
+  name: 'Room Booking',
+  notes: 'Sample booking for Room-1',
+  resourceId: reservation?.booking_details?.apartment_id
+})
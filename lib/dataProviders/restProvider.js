@@ -0,0 +1,58 @@
+import { normalizeReservation } from './normalize'
+
+/**
+ * REST data provider backed by the PMS API
+ * @param {Object} config
+ * @param {string} config.baseUrl - PMS API base URL, e.g. https://aperfectstay.ai/api/aps-pms
+ * @param {string} config.userId - PMS user id sent with every request
+ * @returns {Object} Data provider
+ */
+export const createRestProvider = ({ baseUrl, userId }) => {
+  const url = (path, params = {}) => {
+    const query = new URLSearchParams({ user: userId, ...params })
+    return `${baseUrl}${path}?${query}`
+  }
+
+  const request = async (input, init) => {
+    const res = await fetch(input, init)
+    if (!res.ok) {
+      throw new Error(`PMS request failed: ${res.status} ${res.statusText}`)
+    }
+    return res.status === 204 ? null : res.json()
+  }
+
+  const send = (method, path, body) => request(url(path), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  return {
+    name: 'rest',
+
+    async loadResources({ start } = {}) {
+      const json = await request(url('/apts/', start ? { start } : {}))
+      return json?.data?.apt_build_details || []
+    },
+
+    async loadBookings(range) {
+      const json = await request(url('/reservations/', range ? { start: range.start, end: range.end } : {}))
+      return (json?.data?.reservations || []).map(normalizeReservation)
+    },
+
+    async createBooking(booking) {
+      const json = await send('POST', '/reservations/', booking)
+      return json?.data ? normalizeReservation(json.data) : { ...booking, ...json }
+    },
+
+    async updateBooking(id, changes) {
+      const json = await send('PATCH', `/reservations/${id}/`, changes)
+      return json?.data ? normalizeReservation(json.data) : { id, ...changes }
+    },
+
+    async deleteBooking(id) {
+      await send('DELETE', `/reservations/${id}/`)
+      return id
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server'
+
+/**
+ * Error carrying an HTTP status, thrown by validation and store updates in route handlers
+ */
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.details = details
+  }
+}
+
+/**
+ * Turn an error into a JSON error response
+ * @param {Error} err - Error thrown while handling the request
+ * @returns {NextResponse}
+ */
+export const errorResponse = (err) => {
+  if (err instanceof HttpError) {
+    return NextResponse.json(
+      { error: err.message, ...(err.details ? { details: err.details } : {}) },
+      { status: err.status }
+    )
+  }
+
+  console.error('Unhandled API error', err)
+  return NextResponse.json({ error: 'Internal server error' }, { status: 500 })
+}
+
+/**
+ * Read a JSON object request body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+export const readJsonBody = async (request) => {
+  let body
+  try {
+    body = await request.json()
+  } catch (err) {
+    throw new HttpError(400, 'Request body must be valid JSON')
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object')
+  }
+  return body
+}
@@ -0,0 +1,80 @@
+import { promises as fs } from 'fs'
+import { AsyncLocalStorage } from 'async_hooks'
+import path from 'path'
+
+// Where persisted data lives; seeded from data/<name>.json on first use when there is one
+const STORE_DIR = process.env.DATA_STORE_DIR || path.join(process.cwd(), '.data')
+const SEED_DIR = path.join(process.cwd(), 'data')
+
+const stores = new Map()
+
+// One queue for every store, so an update can check other stores (e.g. that a room exists)
+// without them changing underneath it. Reads and updates made from inside an update's callback
+// already hold the queue and run directly.
+let queue = Promise.resolve()
+const queueContext = new AsyncLocalStorage()
+
+const enqueue = (task) => {
+  if (queueContext.getStore()) return task()
+
+  const run = queue.then(() => queueContext.run(true, task))
+  // Keep the queue alive even when a task fails
+  queue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Get the JSON file store for a collection
+ * Writes are serialized across stores and replace the file atomically, so concurrent
+ * requests never interleave or leave a half-written file behind.
+ * @param {string} name - Collection name, e.g. 'bookings' or 'resources'
+ * @param {*} initialData - Data of a new store without a seed file
+ * @returns {Object} Store with read() and update(fn)
+ */
+export const getJsonStore = (name, initialData) => {
+  if (stores.has(name)) return stores.get(name)
+
+  const filePath = path.join(STORE_DIR, `${name}.json`)
+  const seedPath = path.join(SEED_DIR, `${name}.json`)
+
+  const readFile = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(seedPath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT' || initialData === undefined) throw err
+      return initialData
+    }
+  }
+
+  const writeFile = async (data) => {
+    await fs.mkdir(STORE_DIR, { recursive: true })
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2))
+    await fs.rename(tmpPath, filePath)
+  }
+
+  const store = {
+    read: () => enqueue(readFile),
+
+    /**
+     * Apply an update to the collection and persist it
+     * The callback can read or update other stores to keep cross-store checks consistent.
+     * @param {Function} fn - Receives the current data, returns { data, result }
+     * @returns {Promise} Resolves with the update's result
+     */
+    update: (fn) => enqueue(async () => {
+      const { data, result } = await fn(await readFile())
+      await writeFile(data)
+      return result
+    })
+  }
+
+  stores.set(name, store)
+  return store
+}
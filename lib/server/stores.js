@@ -0,0 +1,29 @@
+import { getJsonStore } from './jsonStore'
+
+export const bookingsStore = getJsonStore('bookings')
+export const resourcesStore = getJsonStore('resources')
+// Highest id issued per collection, kept apart so deleting the newest record doesn't free its id
+export const sequencesStore = getJsonStore('sequences', {})
+
+/**
+ * Collect the ids of all bookable rooms (children of resource groups)
+ * @param {Array} resources - Resource groups
+ * @returns {Set<string>} Room ids
+ */
+export const getRoomIds = (resources) => {
+  return new Set(resources.flatMap(group => (group.children || []).map(room => room.id)))
+}
+
+/**
+ * Generate the next id for a prefixed id sequence, e.g. G80 -> G81 or R800 -> R801
+ * @param {Array<string>} ids - Existing ids
+ * @param {string} prefix - Id prefix
+ * @returns {string} Unique id
+ */
+export const nextPrefixedId = (ids, prefix) => {
+  const max = ids.reduce((highest, id) => {
+    const match = String(id).match(new RegExp(`^${prefix}(\\d+)$`))
+    return match ? Math.max(highest, Number(match[1])) : highest
+  }, 0)
+  return `${prefix}${max + 1}`
+}
@@ -0,0 +1,86 @@
+import dayjs from 'dayjs'
+import { HttpError } from './httpErrors'
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD format
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isValidDate = (value) => {
+  return typeof value === 'string' &&
+    DATE_PATTERN.test(value) &&
+    dayjs(value).format('YYYY-MM-DD') === value
+}
+
+/**
+ * Parse and validate the start/end date-range query of a GET request
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object|null} Range with start and end, or null when no range was given
+ */
+export const parseDateRange = (searchParams) => {
+  const start = searchParams.get('start')
+  const end = searchParams.get('end')
+
+  if (!start && !end) return null
+
+  const errors = []
+  if (start && !isValidDate(start)) errors.push('start must be a date in YYYY-MM-DD format')
+  if (end && !isValidDate(end)) errors.push('end must be a date in YYYY-MM-DD format')
+  if (!errors.length && start && end && end < start) errors.push('end must not be before start')
+  if (errors.length) throw new HttpError(400, 'Invalid date range', errors)
+
+  return { start: start || '0000-01-01', end: end || '9999-12-31' }
+}
+
+/**
+ * Validate a booking before it is stored
+ * A partial update only checks the fields it changes, so stored data that no longer validates
+ * (e.g. a booking of a removed room) can still be edited.
+ * @param {Object} booking - Booking to validate, merged with the changes for a partial update
+ * @param {Set<string>} roomIds - Ids of all existing rooms
+ * @param {Array<string>} fields - Fields to check (default: all)
+ */
+export const validateBooking = (booking, roomIds, fields = null) => {
+  const errors = []
+  const checks = (field) => !fields || fields.includes(field)
+
+  if (checks('resourceId')) {
+    if (!booking.resourceId) {
+      errors.push('resourceId is required')
+    } else if (!roomIds.has(booking.resourceId)) {
+      errors.push(`resourceId "${booking.resourceId}" is not a known room`)
+    }
+  }
+
+  if (checks('startDate') && !isValidDate(booking.startDate)) errors.push('startDate must be a date in YYYY-MM-DD format')
+  if (checks('endDate') && !isValidDate(booking.endDate)) errors.push('endDate must be a date in YYYY-MM-DD format')
+  if ((checks('startDate') || checks('endDate')) &&
+    isValidDate(booking.startDate) && isValidDate(booking.endDate) && booking.endDate <= booking.startDate) {
+    errors.push('endDate (checkout) must be after startDate')
+  }
+
+  // Optional fields can be cleared with null, e.g. when undoing a cancellation
+  const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string'
+  if (checks('text') && !isOptionalString(booking.text)) errors.push('text must be a string')
+  if (checks('notes') && !isOptionalString(booking.notes)) errors.push('notes must be a string')
+  if (checks('status') && !isOptionalString(booking.status)) errors.push('status must be a string')
+
+  if (errors.length) throw new HttpError(400, 'Invalid booking', errors)
+}
+
+/**
+ * Validate a resource group or room before it is stored
+ * @param {Object} resource - Resource to validate
+ */
+export const validateResource = (resource) => {
+  const errors = []
+
+  if (typeof resource.name !== 'string' || !resource.name.trim()) errors.push('name is required')
+  if (resource.cleaning !== undefined && (!Number.isFinite(resource.cleaning) || resource.cleaning < 0)) {
+    errors.push('cleaning must be a non-negative number of hours')
+  }
+
+  if (errors.length) throw new HttpError(400, 'Invalid resource', errors)
+}
@@ -0,0 +1,230 @@
+import { getBookingDetails } from './bubbleParser'
+
+/**
+ * Check whether two stays overlap
+ * Checkout is exclusive, so a same-day turnover (one guest leaves, the next arrives) is not an overlap.
+ * @param {Object} a - Booking with startDate and endDate in YYYY-MM-DD format
+ * @param {Object} b - Booking with startDate and endDate in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export const bookingsOverlap = (a, b) => {
+  return a.startDate < b.endDate && b.startDate < a.endDate
+}
+
+/**
+ * Check whether a booking overlaps a date window
+ * @param {Object} booking - Booking with startDate and endDate
+ * @param {Object} range - Window with start (inclusive) and end (exclusive) in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export const isBookingInRange = (booking, range) => {
+  if (!range) return true
+  return booking.startDate < range.end && booking.endDate > range.start
+}
+
+/**
+ * Whether a booking has been cancelled
+ * @param {Object} booking - Booking object
+ * @returns {boolean}
+ */
+export const isBookingCancelled = (booking) => {
+  return booking.status === 'cancelled'
+}
+
+/**
+ * Whether a booking is one segment of a stay split across rooms
+ * Flagged by is_split on the booking or split_booking in its bubbleHtml.
+ * @param {Object} booking - Booking object
+ * @returns {boolean}
+ */
+export const isSplitBooking = (booking) => {
+  return String(booking.is_split).toLowerCase() === 'true' || getBookingDetails(booking).statuses.splitBooking
+}
+
+/**
+ * Whether an overlap with this booking counts as an overbooking
+ * Driven by the booking's consider_for_overbooking flag ("true"/"false" string from the API);
+ * cancelled bookings never conflict.
+ * @param {Object} booking - Booking object
+ * @returns {boolean}
+ */
+export const considerForOverbooking = (booking) => {
+  if (isBookingCancelled(booking)) return false
+  return String(booking.consider_for_overbooking ?? 'true').toLowerCase() !== 'false'
+}
+
+const byStay = (a, b) => {
+  if (a.startDate !== b.startDate) return a.startDate < b.startDate ? -1 : 1
+  if (a.endDate !== b.endDate) return a.endDate < b.endDate ? -1 : 1
+  return 0
+}
+
+/**
+ * Assign the bookings of a single resource to stacked lanes so overlapping stays never share a lane
+ * @param {Array} bookings - Bookings of one resource
+ * @returns {Object} Object with lanes (Map of booking id to lane index) and laneCount
+ */
+export const assignLanes = (bookings) => {
+  const lanes = new Map()
+  const laneEnds = []
+  const sorted = [...bookings].sort(byStay)
+
+  sorted.forEach(booking => {
+    let lane = laneEnds.findIndex(end => end <= booking.startDate)
+    if (lane === -1) {
+      lane = laneEnds.length
+      laneEnds.push(booking.endDate)
+    } else {
+      laneEnds[lane] = booking.endDate
+    }
+    lanes.set(booking.id, lane)
+  })
+
+  return { lanes, laneCount: Math.max(1, laneEnds.length) }
+}
+
+/**
+ * Find bookings of a single resource that are overbooked
+ * An overlap is a conflict only when both bookings are considered for overbooking.
+ * @param {Array} bookings - Bookings of one resource
+ * @returns {Set} Set of conflicting booking ids
+ */
+export const findConflicts = (bookings) => {
+  const conflicts = new Set()
+  const candidates = bookings.filter(considerForOverbooking).sort(byStay)
+
+  candidates.forEach((booking, i) => {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const other = candidates[j]
+      // Sorted by start date, so nothing further along can overlap
+      if (other.startDate >= booking.endDate) break
+      if (bookingsOverlap(booking, other)) {
+        conflicts.add(booking.id)
+        conflicts.add(other.id)
+      }
+    }
+  })
+
+  return conflicts
+}
+
+/**
+ * Group bookings by resource and compute their lane layout and conflicts
+ * @param {Array} bookings - All bookings
+ * @returns {Map} Map of resourceId to { bookings, lanes, laneCount, conflicts }
+ */
+export const buildResourceLayout = (bookings) => {
+  const byResource = new Map()
+
+  bookings.forEach(booking => {
+    if (!byResource.has(booking.resourceId)) byResource.set(booking.resourceId, [])
+    byResource.get(booking.resourceId).push(booking)
+  })
+
+  const layout = new Map()
+  byResource.forEach((resourceBookings, resourceId) => {
+    layout.set(resourceId, {
+      bookings: resourceBookings,
+      ...assignLanes(resourceBookings),
+      conflicts: findConflicts(resourceBookings)
+    })
+  })
+
+  return layout
+}
+
+/**
+ * Link the segments of split stays by their reservation
+ * Segments share the reservation_id from bubbleHtml and are numbered in stay order.
+ * @param {Array} bookings - All bookings
+ * @returns {Map} Map of booking id to { key, index, count, segments } for every split segment
+ */
+export const buildSplitGroups = (bookings) => {
+  const byReservation = new Map()
+
+  bookings.forEach(booking => {
+    if (!isSplitBooking(booking)) return
+    const key = getBookingDetails(booking).reservationId ?? String(booking.booking_id ?? booking.id)
+    if (!byReservation.has(key)) byReservation.set(key, [])
+    byReservation.get(key).push(booking)
+  })
+
+  const groups = new Map()
+  byReservation.forEach((segments, key) => {
+    const sorted = [...segments].sort(byStay)
+    sorted.forEach((booking, index) => {
+      groups.set(booking.id, { key, index, count: sorted.length, segments: sorted })
+    })
+  })
+
+  return groups
+}
+
+/**
+ * Count the rooms occupied on each date of the timeline
+ * A room counts once per night however many bookings it has; cancelled bookings don't occupy it.
+ * @param {Array} rooms - Array of bookings arrays, one per room
+ * @param {Array} dates - Timeline dates in YYYY-MM-DD format
+ * @returns {Array} Occupied room count for each date, aligned with dates
+ */
+export const countOccupiedRooms = (rooms, dates) => {
+  const counts = new Array(dates.length).fill(0)
+  if (!dates.length) return counts
+
+  const dateIndex = new Map(dates.map((date, i) => [date, i]))
+
+  rooms.forEach(roomBookings => {
+    const occupied = new Set()
+
+    roomBookings.forEach(booking => {
+      if (isBookingCancelled(booking) || booking.endDate <= dates[0]) return
+
+      const first = booking.startDate < dates[0] ? 0 : dateIndex.get(booking.startDate)
+      if (first === undefined) return
+
+      // endDate is the checkout day, so the last occupied night is the day before it
+      for (let i = first; i < dates.length && dates[i] < booking.endDate; i++) {
+        occupied.add(i)
+      }
+    })
+
+    occupied.forEach(i => { counts[i]++ })
+  })
+
+  return counts
+}
+
+/**
+ * Merge newly loaded bookings into the loaded set without duplicates
+ * Bookings already loaded win, so local edits aren't overwritten by a slice that overlaps them.
+ * @param {Array} existing - Bookings already loaded
+ * @param {Array} incoming - Bookings from a newly loaded date window
+ * @returns {Array} Merged bookings
+ */
+export const mergeBookings = (existing, incoming) => {
+  const loadedIds = new Set(existing.map(b => b.id))
+  const added = incoming.filter(b => !loadedIds.has(b.id))
+
+  return added.length ? [...existing, ...added] : existing
+}
+
+/**
+ * Generate an id linking the reservations of a group booking
+ * @returns {string} Unique group id
+ */
+export const createGroupId = () => {
+  return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Generate the next unique booking id for a set of bookings
+ * Ids are numeric strings issued from a counter that only goes up, so a deleted booking's id
+ * is never given to a new one. The counter starts past the highest existing id.
+ * @param {Array} bookings - Existing bookings
+ * @param {number} lastIssuedId - Highest id issued so far, including deleted bookings
+ * @returns {string} Unique booking id
+ */
+export const nextBookingId = (bookings, lastIssuedId = 0) => {
+  const maxId = bookings.reduce((max, b) => Math.max(max, Number(b.id) || 0), lastIssuedId)
+  return String(maxId + 1)
+}
@@ -0,0 +1,260 @@
+/**
+ * Parser for the booking `bubbleHtml` payload
+ *
+ * The PMS sends booking details as a Python dict literal (str(dict)), e.g.
+ * {'name': "O'Brien", 'reservation_id': 9977873008, 'split_booking': False, 'notes': None}
+ * which is not JSON: strings use single quotes, numbers are unquoted and True/False/None are Python literals.
+ */
+
+/**
+ * Error raised for malformed Python literals, with the offset where parsing failed
+ */
+export class BubbleParseError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`)
+    this.name = 'BubbleParseError'
+    this.position = position
+  }
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0' }
+const KEYWORDS = { True: true, False: false, None: null }
+// Characters that may follow a closing quote; any other quote is read as an apostrophe
+const STRING_TERMINATORS = new Set([',', ':', '}', ']', ')'])
+
+/**
+ * Parse a Python literal (dict, list, tuple, str, int, float, True/False/None)
+ * @param {string} source - Python literal source
+ * @returns {*} Parsed JavaScript value (tuples become arrays)
+ * @throws {BubbleParseError} When the source is not a valid literal
+ */
+export const parsePythonLiteral = (source) => {
+  let pos = 0
+
+  const fail = (message) => {
+    throw new BubbleParseError(message, pos)
+  }
+
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++
+  }
+
+  const peekAfterWhitespace = (from) => {
+    let i = from
+    while (i < source.length && /\s/.test(source[i])) i++
+    return source[i]
+  }
+
+  const parseString = () => {
+    const quote = source[pos++]
+    let result = ''
+
+    while (pos < source.length) {
+      const char = source[pos]
+
+      if (char === '\\') {
+        const next = source[pos + 1]
+        if (next === 'x' || next === 'u') {
+          const length = next === 'x' ? 2 : 4
+          const hex = source.slice(pos + 2, pos + 2 + length)
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) fail('Invalid escape sequence')
+          result += String.fromCharCode(parseInt(hex, 16))
+          pos += 2 + length
+        } else {
+          result += ESCAPES[next] ?? next
+          pos += 2
+        }
+        continue
+      }
+
+      if (char === quote) {
+        // Unescaped quotes inside a value (e.g. a hand-built 'O'Brien') only close the
+        // string when followed by the end of the value
+        const following = peekAfterWhitespace(pos + 1)
+        if (following === undefined || STRING_TERMINATORS.has(following)) {
+          pos++
+          return result
+        }
+      }
+
+      result += char
+      pos++
+    }
+
+    return fail('Unterminated string')
+  }
+
+  const parseNumber = () => {
+    const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(pos))
+    if (!match) fail('Invalid number')
+    pos += match[0].length
+    const number = Number(match[0])
+    // Python ints are unbounded; keep ids like reservation_id exact instead of rounding them
+    return Number.isSafeInteger(number) || !Number.isInteger(number) ? number : match[0]
+  }
+
+  const parseSequence = (close, readItem) => {
+    pos++
+    skipWhitespace()
+
+    while (source[pos] !== close) {
+      if (pos >= source.length) fail(`Expected "${close}"`)
+      readItem()
+      skipWhitespace()
+
+      if (source[pos] === ',') {
+        pos++
+        skipWhitespace()
+      } else if (source[pos] !== close) {
+        fail(`Expected "," or "${close}"`)
+      }
+    }
+
+    pos++
+  }
+
+  const parseValue = () => {
+    skipWhitespace()
+    const char = source[pos]
+
+    if (char === '{') {
+      const dict = {}
+      parseSequence('}', () => {
+        const key = parseValue()
+        skipWhitespace()
+        if (source[pos] !== ':') fail('Expected ":"')
+        pos++
+        dict[key] = parseValue()
+      })
+      return dict
+    }
+
+    if (char === '[' || char === '(') {
+      const list = []
+      parseSequence(char === '[' ? ']' : ')', () => list.push(parseValue()))
+      return list
+    }
+
+    if (char === "'" || char === '"') return parseString()
+    if (/[-+\d.]/.test(char || '')) return parseNumber()
+
+    const keyword = /^[A-Za-z_]\w*/.exec(source.slice(pos))?.[0]
+    if (keyword && keyword in KEYWORDS) {
+      pos += keyword.length
+      return KEYWORDS[keyword]
+    }
+
+    return fail(char === undefined ? 'Unexpected end of input' : `Unexpected character "${char}"`)
+  }
+
+  const value = parseValue()
+  skipWhitespace()
+  if (pos < source.length) fail('Unexpected trailing content')
+
+  return value
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+const toBoolean = (value) => {
+  return value === true || String(value).toLowerCase() === 'true'
+}
+
+// Placeholder values the PMS uses for "not set"
+const toText = (value) => {
+  if (value === null || value === undefined) return null
+  const text = String(value).trim()
+  return text === '' || text === 'NA' ? null : text
+}
+
+/**
+ * Turn a raw bubbleHtml dict into a typed booking-details object
+ * @param {Object} raw - Parsed bubbleHtml dict
+ * @returns {Object} Booking details
+ */
+const toBookingDetails = (raw) => ({
+  guestName: toText(raw.name),
+  price: toNumber(raw.price),
+  paid: toNumber(raw.paid),
+  nightlyRate: toNumber(raw.nightly_rate),
+  nights: toNumber(raw.days),
+  rooms: toNumber(raw.rooms),
+  adults: toNumber(raw.adult_count),
+  children: toNumber(raw.child_count),
+  contact: {
+    name: toText(raw.name),
+    phone: toText(raw.phone),
+    email: toText(raw.email)
+  },
+  statuses: {
+    bookingType: toText(raw.booking_type),
+    checkin: toText(raw.checkin_status),
+    checkout: toText(raw.checkout_status),
+    guarantee: toBoolean(raw.guarantee),
+    openCase: toBoolean(raw.open_case),
+    openTask: toBoolean(raw.open_task),
+    splitBooking: toBoolean(raw.split_booking)
+  },
+  salesChannel: toText(raw.sales_channel),
+  bookedBy: toText(raw.booked_by),
+  leadSource: toText(raw.Lead_Source),
+  isLeft: toBoolean(raw.is_left),
+  reservationId: toText(raw.reservation_id),
+  bookingKey: toText(raw.booking_key),
+  apartment: toText(raw.apartment),
+  apartmentId: toText(raw.apartment_id),
+  cancellationPolicy: toText(raw.cancellation_policy),
+  reservedTill: toText(raw.reserved_till),
+  notes: toText(raw.notes),
+  bookingNotes: toText(raw.booking_notes),
+  start: toText(raw.start),
+  end: toText(raw.end),
+  raw
+})
+
+/**
+ * Parse a bubbleHtml payload into booking details
+ * @param {string} bubbleHtml - Python dict literal from the PMS
+ * @returns {Object} Object with details (typed booking details, or null) and error (BubbleParseError, or null)
+ */
+export const parseBubbleHtml = (bubbleHtml) => {
+  if (!bubbleHtml) return { details: null, error: null }
+
+  try {
+    const raw = parsePythonLiteral(bubbleHtml)
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new BubbleParseError('Expected a dict', 0)
+    }
+    return { details: toBookingDetails(raw), error: null }
+  } catch (error) {
+    return { details: null, error }
+  }
+}
+
+const EMPTY_DETAILS = toBookingDetails({})
+const detailsCache = new WeakMap()
+
+/**
+ * Get the parsed booking details for a booking, cached per booking object
+ * Parse errors are logged once and an empty details object is returned, so callers can
+ * always read fields without null checks. `parseError` carries the error, if any.
+ * @param {Object} booking - Booking with a bubbleHtml payload
+ * @returns {Object} Booking details with a parseError field
+ */
+export const getBookingDetails = (booking) => {
+  if (!booking) return { ...EMPTY_DETAILS, parseError: null }
+  if (detailsCache.has(booking)) return detailsCache.get(booking)
+
+  const { details, error } = parseBubbleHtml(booking.bubbleHtml)
+  if (error) {
+    console.warn(`Could not parse bubbleHtml for booking ${booking.id}:`, error.message)
+  }
+
+  const result = { ...(details || EMPTY_DETAILS), parseError: error }
+  detailsCache.set(booking, result)
+  return result
+}
@@ -67,3 +67,59 @@ export const isDateInRange = (dateStr, startDate, endDate) => {
   return date.isSameOrAfter(start, 'day') && date.isSameOrBefore(end, 'day')
 }
 
+
+/**
+ * Shift a date by a number of days
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (negative to subtract)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export const addDays = (dateStr, days) => {
+  return dayjs(dateStr).add(days, 'day').format('YYYY-MM-DD')
+}
+
+/**
+ * Calculate number of nights between check-in and checkout (checkout exclusive)
+ * @param {string} startDate - Check-in date in YYYY-MM-DD format
+ * @param {string} endDate - Checkout date in YYYY-MM-DD format
+ * @returns {number} Number of nights
+ */
+export const nightsBetween = (startDate, endDate) => {
+  return dayjs(endDate).diff(dayjs(startDate), 'day')
+}
+
+/**
+ * Group consecutive timeline dates into week or month bands for the upper header tier
+ * Weeks start on Monday.
+ * @param {Array<string>} dates - Timeline dates in YYYY-MM-DD format
+ * @param {string} unit - 'week' or 'month'
+ * @returns {Array} Bands as { key, label, start, days }, where start is the index of the first date
+ */
+export const getDateBands = (dates, unit) => {
+  const bands = []
+
+  dates.forEach((dateStr, index) => {
+    const date = dayjs(dateStr)
+    const bandStart = unit === 'week'
+      ? date.subtract((date.day() + 6) % 7, 'day')
+      : date.startOf('month')
+    const key = bandStart.format('YYYY-MM-DD')
+
+    const current = bands[bands.length - 1]
+    if (current?.key === key) {
+      current.days++
+      return
+    }
+
+    bands.push({
+      key,
+      label: unit === 'week'
+        ? `${bandStart.format('MMM D')} – ${bandStart.add(6, 'day').format('MMM D')}`
+        : bandStart.format('MMMM YYYY'),
+      start: index,
+      days: 1
+    })
+  })
+
+  return bands
+}
@@ -0,0 +1,94 @@
+import { getBookingDetails } from './bubbleParser'
+
+const formatStatus = (value) => value.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())
+
+const isTrue = (value) => String(value).toLowerCase() === 'true'
+
+// No values selected, non-matching bookings dimmed and every room shown
+export const DEFAULT_FILTERS = {
+  values: {},
+  mode: 'dim',
+  hideUnmatchedRooms: false
+}
+
+/**
+ * Booking attributes the scheduler can filter on
+ * getValue reads a booking's value as a string (null when unknown) and formatValue labels it.
+ */
+export const BOOKING_FILTERS = [
+  {
+    id: 'salesChannel',
+    label: 'Channel',
+    getValue: (booking) => getBookingDetails(booking).salesChannel || booking.sales_channel || null
+  },
+  {
+    id: 'bookingType',
+    label: 'Booking type',
+    getValue: (booking) => getBookingDetails(booking).statuses.bookingType,
+    formatValue: formatStatus
+  },
+  {
+    id: 'checkinStatus',
+    label: 'Check-in',
+    getValue: (booking) => getBookingDetails(booking).statuses.checkin,
+    formatValue: formatStatus
+  },
+  {
+    id: 'guarantee',
+    label: 'Guarantee',
+    getValue: (booking) => String(isTrue(booking.guarantee ?? getBookingDetails(booking).statuses.guarantee)),
+    formatValue: (value) => value === 'true' ? 'Guaranteed' : 'Not guaranteed'
+  },
+  {
+    id: 'requiresAttention',
+    label: 'Attention',
+    getValue: (booking) => String(isTrue(booking.requires_attention)),
+    formatValue: (value) => value === 'true' ? 'Requires attention' : 'No attention needed'
+  }
+]
+
+/**
+ * Whether any filter has values selected
+ * @param {Object} filters - Selected values per filter id
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => {
+  return Object.values(filters || {}).some(values => values?.length > 0)
+}
+
+/**
+ * Whether a booking matches the selected filters
+ * A booking must match every filter with values selected, and any one value within a filter.
+ * @param {Object} booking - Booking object
+ * @param {Object} filters - Selected values per filter id
+ * @returns {boolean}
+ */
+export const matchesFilters = (booking, filters) => {
+  return BOOKING_FILTERS.every(filter => {
+    const selected = filters?.[filter.id]
+    return !selected?.length || selected.includes(filter.getValue(booking))
+  })
+}
+
+/**
+ * List the values each filter can take in a set of bookings, with how many bookings have them
+ * @param {Array} bookings - Bookings to collect values from
+ * @returns {Object} Options per filter id, as [{ value, label, count }] sorted by label
+ */
+export const getFilterOptions = (bookings) => {
+  const options = {}
+
+  BOOKING_FILTERS.forEach(filter => {
+    const counts = new Map()
+    bookings.forEach(booking => {
+      const value = filter.getValue(booking)
+      if (value !== null) counts.set(value, (counts.get(value) || 0) + 1)
+    })
+
+    options[filter.id] = [...counts]
+      .map(([value, count]) => ({ value, label: filter.formatValue ? filter.formatValue(value) : value, count }))
+      .sort((a, b) => a.label.localeCompare(b.label))
+  })
+
+  return options
+}
@@ -0,0 +1,56 @@
+import { addDays } from './dateUtils'
+
+/**
+ * Find the scheduler cell under a viewport point
+ * Cells expose their position through data-date and data-resource-id attributes,
+ * so this also works when a booking bar is stacked on top of the cell.
+ * @param {number} x - Viewport x coordinate (clientX)
+ * @param {number} y - Viewport y coordinate (clientY)
+ * @returns {Object|null} Object with date and resourceId, or null when outside the grid
+ */
+export const getCellFromPoint = (x, y) => {
+  if (typeof document === 'undefined') return null
+
+  const cell = document
+    .elementsFromPoint(x, y)
+    .find(el => el.dataset?.date && el.dataset?.resourceId)
+
+  return cell ? { date: cell.dataset.date, resourceId: cell.dataset.resourceId } : null
+}
+
+/**
+ * Horizontal placement of a booking bar over the timeline
+ * By default a bar fills the day cells of its nights, from the check-in day to the day before checkout.
+ * In hotel mode it runs from the middle of the check-in day to the middle of the checkout day,
+ * so a departure and an arrival on the same day share that day's cell.
+ * @param {Object} booking - Booking with startDate and endDate (checkout) in YYYY-MM-DD format
+ * @param {Array} dates - Timeline dates in YYYY-MM-DD format
+ * @param {number} cellWidth - Width of a day cell in pixels
+ * @param {boolean} hotelMode - Whether to draw half-day check-in and checkout edges
+ * @returns {Object|null} Object with firstIndex (first visible day the bar covers), left (offset into
+ *   that day's cell), width, startVisible and endVisible; null when the bar is outside the timeline
+ */
+export const getBookingSpan = (booking, dates, cellWidth, hotelMode = false) => {
+  if (!dates.length) return null
+
+  const lastDate = hotelMode ? booking.endDate : addDays(booking.endDate, -1)
+  if (booking.startDate > dates[dates.length - 1] || lastDate < dates[0]) return null
+
+  const startIndex = dates.indexOf(booking.startDate)
+  const endIndex = dates.indexOf(lastDate)
+  const firstIndex = startIndex === -1 ? 0 : startIndex
+  const lastIndex = endIndex === -1 ? dates.length - 1 : endIndex
+
+  // Edges outside the timeline are cut off at the timeline edge
+  const halfCell = hotelMode ? cellWidth / 2 : 0
+  const left = startIndex === -1 ? 0 : halfCell
+  const right = endIndex === -1 ? 0 : halfCell
+
+  return {
+    firstIndex,
+    left,
+    width: (lastIndex - firstIndex + 1) * cellWidth - left - right,
+    startVisible: startIndex !== -1,
+    endVisible: endIndex !== -1
+  }
+}
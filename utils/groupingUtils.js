@@ -0,0 +1,69 @@
+// Room names end with their configuration, e.g. "Room-1 2-B 1-N"
+const CONFIG_PATTERN = /(\d+-B\s+\d+-N)\s*$/
+const ROOM_NUMBER_PATTERN = /(\d+)/
+// Block names read "<type> Block <n>", e.g. "Deluxe Block 12"
+const BLOCK_TYPE_PATTERN = /^(.*?)\s+Block\b/i
+
+const getRoomConfig = (room) => CONFIG_PATTERN.exec(room.name || '')?.[1].replace(/\s+/, ' ') ?? null
+
+// Rooms without a type of their own take the type their block is named after
+const getRoomType = (room, block) => {
+  return room.roomType || room.type || BLOCK_TYPE_PATTERN.exec(block.name || '')?.[1] || null
+}
+
+// Rooms without a floor are assumed to be numbered by floor, so Room-214 is on floor 2
+const getRoomFloor = (room) => {
+  if (room.floor !== undefined && room.floor !== null) return String(room.floor)
+  const number = ROOM_NUMBER_PATTERN.exec(room.name || '')?.[1]
+  return number ? String(Math.floor(Number(number) / 100)) : null
+}
+
+// Keys sort naturally (floor 2 before floor 10), with rooms that have no key last
+const byKey = ([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b), undefined, { numeric: true })
+
+/**
+ * Ways of grouping the scheduler's rooms
+ * 'block' keeps the resource groups as they come from the API; the others regroup the rooms
+ * by the key getKey returns for them, labelled by formatKey.
+ */
+export const GROUPINGS = [
+  { id: 'block', label: 'Block' },
+  { id: 'config', label: 'Room configuration', getKey: getRoomConfig },
+  { id: 'type', label: 'Room type', getKey: getRoomType },
+  { id: 'floor', label: 'Floor', getKey: getRoomFloor, formatKey: (key) => key === '0' ? 'Ground floor' : `Floor ${key}` }
+]
+
+/**
+ * Regroup the rooms of the resource groups
+ * The source resources are left untouched; groups are new objects holding the same room objects,
+ * ordered by key, with rooms in their original order. Rooms without a key go to an "Other" group.
+ * @param {Array} resources - Resource groups with children rooms
+ * @param {string} groupingId - Id of one of GROUPINGS
+ * @param {Set} collapsedIds - Ids of the regrouped groups that are collapsed
+ * @returns {Array} Resource groups as { id, name, expanded, children }
+ */
+export const groupResources = (resources, groupingId, collapsedIds = new Set()) => {
+  const grouping = GROUPINGS.find(g => g.id === groupingId)
+  if (!grouping?.getKey) return resources
+
+  const groups = new Map()
+  resources.forEach(block => {
+    (block.children || []).forEach(room => {
+      const key = grouping.getKey(room, block)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(room)
+    })
+  })
+
+  return [...groups]
+    .sort(byKey)
+    .map(([key, children]) => {
+      const id = `${grouping.id}:${key ?? 'other'}`
+      return {
+        id,
+        name: key === null ? 'Other' : grouping.formatKey ? grouping.formatKey(key) : key,
+        expanded: !collapsedIds.has(id),
+        children
+      }
+    })
+}
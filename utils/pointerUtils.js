@@ -0,0 +1,98 @@
+/**
+ * Pointer gesture helpers shared by the grid cells and booking bars
+ *
+ * Mouse and pen gestures start straight away. A finger on a touch screen is usually scrolling the
+ * grid, so touch gestures only start after a long press without movement; moving first is left
+ * to the browser as a scroll.
+ */
+
+// Hold time before a touch starts a selection or a booking drag
+export const LONG_PRESS_MS = 500
+// Movement, in pixels, that turns a touch into a scroll
+export const TOUCH_SLOP_PX = 10
+// A mouse press on a booking becomes a drag once it moves this far
+const CLICK_SLOP_PX = 5
+
+/**
+ * Whether a pointer event comes from a finger
+ * @param {PointerEvent} e - Pointer event
+ * @returns {boolean}
+ */
+export const isTouchPointer = (e) => e.pointerType === 'touch'
+
+/**
+ * Follow a pressed pointer until it is held, moved or released
+ * Exactly one callback runs: onHold after holdDelay without moving, onMove once the pointer
+ * moves further than moveThreshold, or onTap when it is released before either.
+ * A pointercancel (e.g. the browser taking over to scroll) ends the gesture without a callback.
+ * @param {PointerEvent} downEvent - The pointerdown event
+ * @param {Object} options - holdDelay (ms, or null to never hold), moveThreshold (px), onHold,
+ *   onMove and onTap callbacks
+ */
+export const watchPointerGesture = (downEvent, { holdDelay, moveThreshold, onHold, onMove, onTap }) => {
+  const { pointerId, clientX: startX, clientY: startY } = downEvent
+
+  const finish = () => {
+    clearTimeout(holdTimer)
+    document.removeEventListener('pointermove', handlePointerMove)
+    document.removeEventListener('pointerup', handlePointerUp)
+    document.removeEventListener('pointercancel', handlePointerCancel)
+  }
+
+  const holdTimer = holdDelay === null ? null : setTimeout(() => {
+    finish()
+    onHold?.()
+  }, holdDelay)
+
+  const handlePointerMove = (e) => {
+    if (e.pointerId !== pointerId) return
+    if (Math.hypot(e.clientX - startX, e.clientY - startY) <= moveThreshold) return
+    finish()
+    onMove?.(e)
+  }
+
+  const handlePointerUp = (e) => {
+    if (e.pointerId !== pointerId) return
+    finish()
+    onTap?.(e)
+  }
+
+  const handlePointerCancel = (e) => {
+    if (e.pointerId === pointerId) finish()
+  }
+
+  document.addEventListener('pointermove', handlePointerMove)
+  document.addEventListener('pointerup', handlePointerUp)
+  document.addEventListener('pointercancel', handlePointerCancel)
+}
+
+/**
+ * Tell a click on a booking bar from a drag
+ * A mouse drags once it moves 5px, however long it is held; a finger drags after a long press,
+ * and a finger that moves first scrolls the grid instead.
+ * @param {PointerEvent} e - The pointerdown event on the booking
+ * @param {Object} handlers - onDragStart(downEvent) and onClick()
+ */
+export const watchBookingPress = (e, { onDragStart, onClick }) => {
+  const isTouch = isTouchPointer(e)
+
+  watchPointerGesture(e, {
+    holdDelay: isTouch ? LONG_PRESS_MS : null,
+    moveThreshold: isTouch ? TOUCH_SLOP_PX : CLICK_SLOP_PX,
+    onHold: () => onDragStart(e),
+    onMove: isTouch ? undefined : () => onDragStart(e),
+    onTap: onClick
+  })
+}
+
+/**
+ * Stop touch moves from scrolling the page while a selection or drag follows the finger
+ * @returns {Function} Cleanup that restores scrolling
+ */
+export const preventTouchScroll = () => {
+  const prevent = (e) => {
+    if (e.cancelable) e.preventDefault()
+  }
+  document.addEventListener('touchmove', prevent, { passive: false })
+  return () => document.removeEventListener('touchmove', prevent)
+}
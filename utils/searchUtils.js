@@ -0,0 +1,54 @@
+import { getBookingDetails } from './bubbleParser'
+
+// Phone numbers are compared on their digits, so "+1 690-618" finds "+16906189539"
+const MIN_PHONE_DIGITS = 3
+
+const toDigits = (value) => String(value || '').replace(/\D/g, '')
+
+/**
+ * Search bookings by guest name, email, phone and reservation id from their bubbleHtml details
+ * Matches at the start of a field come before matches inside it, each ordered by check-in.
+ * Only the given bookings are searched, so on the page that means the dates loaded so far.
+ * @param {Array} bookings - Bookings to search
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results (default: 10)
+ * @returns {Array} Results as { booking, details, field, value }, where field names the matched field
+ */
+export const searchBookings = (bookings, query, limit = 10) => {
+  const text = query.trim().toLowerCase()
+  if (!text) return []
+
+  const digits = toDigits(text)
+  // Matches at the start of a field come first
+  const prefixMatches = []
+  const otherMatches = []
+
+  bookings.forEach(booking => {
+    const details = getBookingDetails(booking)
+    const fields = [
+      ['name', details.guestName || booking.text || booking.name],
+      ['email', details.contact.email],
+      ['reservation', details.reservationId]
+    ]
+
+    let match = null
+    let index = -1
+    for (const [field, value] of fields) {
+      index = value ? String(value).toLowerCase().indexOf(text) : -1
+      if (index !== -1) {
+        match = { booking, details, field, value: String(value) }
+        break
+      }
+    }
+
+    if (!match && digits.length >= MIN_PHONE_DIGITS && details.contact.phone) {
+      index = toDigits(details.contact.phone).indexOf(digits)
+      if (index !== -1) match = { booking, details, field: 'phone', value: details.contact.phone }
+    }
+
+    if (match) (index === 0 ? prefixMatches : otherMatches).push(match)
+  })
+
+  const byCheckIn = (a, b) => a.booking.startDate.localeCompare(b.booking.startDate)
+  return [...prefixMatches.sort(byCheckIn), ...otherMatches.sort(byCheckIn)].slice(0, limit)
+}
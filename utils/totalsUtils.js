@@ -0,0 +1,73 @@
+import { getBookingDetails } from './bubbleParser'
+import { countOccupiedRooms, isBookingCancelled } from './bookingUtils'
+import { nightsBetween } from './dateUtils'
+
+/**
+ * Revenue a booking earns for each night of the stay
+ * Uses the nightly_rate from bubbleHtml, falling back to price (or what was paid, when no price
+ * is set) spread evenly over the nights.
+ * @param {Object} booking - Booking with a bubbleHtml payload
+ * @returns {number} Revenue per night, 0 when unknown
+ */
+export const getNightlyRevenue = (booking) => {
+  const details = getBookingDetails(booking)
+  if (details.nightlyRate !== null) return details.nightlyRate
+
+  const total = details.price ?? details.paid
+  if (total === null) return 0
+
+  const nights = details.nights || nightsBetween(booking.startDate, booking.endDate)
+  return nights > 0 ? total / nights : 0
+}
+
+/**
+ * Compute the daily totals shown in the scheduler footer
+ * ADR is revenue per occupied room, RevPAR is revenue per available room; both are null
+ * when there is nothing to divide by.
+ * @param {Array} bookings - Bookings of all rooms
+ * @param {number} roomCount - Number of rooms available
+ * @param {Array} dates - Timeline dates in YYYY-MM-DD format
+ * @returns {Array} Totals for each date, aligned with dates, as
+ *   { occupied, occupancy, arrivals, departures, revenue, adr, revpar }
+ */
+export const buildDailyTotals = (bookings, roomCount, dates) => {
+  const activeBookings = bookings.filter(booking => !isBookingCancelled(booking))
+  const byRoom = new Map()
+  activeBookings.forEach(booking => {
+    if (!byRoom.has(booking.resourceId)) byRoom.set(booking.resourceId, [])
+    byRoom.get(booking.resourceId).push(booking)
+  })
+
+  const occupied = countOccupiedRooms([...byRoom.values()], dates)
+  const totals = dates.map((date, i) => ({
+    occupied: occupied[i],
+    occupancy: roomCount ? occupied[i] / roomCount : null,
+    arrivals: 0,
+    departures: 0,
+    revenue: 0
+  }))
+
+  if (!dates.length) return totals
+
+  const dateIndex = new Map(dates.map((date, i) => [date, i]))
+
+  activeBookings.forEach(booking => {
+    if (dateIndex.has(booking.startDate)) totals[dateIndex.get(booking.startDate)].arrivals++
+    if (dateIndex.has(booking.endDate)) totals[dateIndex.get(booking.endDate)].departures++
+    if (booking.endDate <= dates[0]) return
+
+    const first = booking.startDate < dates[0] ? 0 : dateIndex.get(booking.startDate)
+    if (first === undefined) return
+
+    const nightlyRevenue = getNightlyRevenue(booking)
+    for (let i = first; i < dates.length && dates[i] < booking.endDate; i++) {
+      totals[i].revenue += nightlyRevenue
+    }
+  })
+
+  return totals.map(total => ({
+    ...total,
+    adr: total.occupied ? total.revenue / total.occupied : null,
+    revpar: roomCount ? total.revenue / roomCount : null
+  }))
+}
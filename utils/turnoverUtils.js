@@ -0,0 +1,63 @@
+import { isBookingCancelled } from './bookingUtils'
+
+// Standard times of day, in hours, for a checkout and the next guest's check-in
+export const DEFAULT_CHECKOUT_HOUR = 10
+export const DEFAULT_CHECK_IN_HOUR = 12
+
+/**
+ * Hours of cleaning a room needs after each checkout
+ * @param {Object} room - Room resource with a `cleaning` duration in hours
+ * @returns {number} Cleaning hours, 0 when not set
+ */
+export const getCleaningHours = (room) => {
+  const hours = Number(room?.cleaning)
+  return Number.isFinite(hours) && hours > 0 ? hours : 0
+}
+
+/**
+ * Whether a same-day check-in would arrive before the room has been cleaned
+ * @param {number} cleaningHours - Cleaning hours of the room
+ * @param {Object} times - Object with checkoutHour and checkInHour
+ * @returns {boolean}
+ */
+export const isCheckInDuringCleaning = (cleaningHours, { checkoutHour, checkInHour }) => {
+  return cleaningHours > 0 && checkInHour < checkoutHour + cleaningHours
+}
+
+/**
+ * Find the checkout whose cleaning buffer a stay would check in during
+ * Only a same-day turnover can collide: the previous guest leaves on the day the stay starts.
+ * @param {Array} roomBookings - Bookings of the room
+ * @param {Object} stay - Stay with startDate, and the id of the booking itself when it already exists
+ * @param {number} cleaningHours - Cleaning hours of the room
+ * @param {Object} times - Object with checkoutHour and checkInHour
+ * @returns {Object|null} The booking checking out that day, or null when there is no collision
+ */
+export const findTurnoverConflict = (roomBookings, stay, cleaningHours, times) => {
+  if (!isCheckInDuringCleaning(cleaningHours, times)) return null
+
+  return roomBookings.find(booking =>
+    booking.id !== stay.id &&
+    !isBookingCancelled(booking) &&
+    booking.endDate === stay.startDate
+  ) || null
+}
+
+/**
+ * Find the bookings of a room that check in during the cleaning after another guest's checkout
+ * @param {Array} roomBookings - Bookings of the room
+ * @param {number} cleaningHours - Cleaning hours of the room
+ * @param {Object} times - Object with checkoutHour and checkInHour
+ * @returns {Set} Set of booking ids checking in too early
+ */
+export const findTurnoverConflicts = (roomBookings, cleaningHours, times) => {
+  const conflicts = new Set()
+  if (!isCheckInDuringCleaning(cleaningHours, times)) return conflicts
+
+  const checkouts = new Set(roomBookings.filter(b => !isBookingCancelled(b)).map(b => b.endDate))
+  roomBookings.forEach(booking => {
+    if (!isBookingCancelled(booking) && checkouts.has(booking.startDate)) conflicts.add(booking.id)
+  })
+
+  return conflicts
+}
@@ -0,0 +1,71 @@
+import dayjs from 'dayjs'
+
+// Query parameters holding the scheduler view, e.g. ?start=2026-03-03&expanded=G12&q=Deluxe
+const PARAMS = {
+  startDate: 'start',
+  zoom: 'zoom',
+  searchTerm: 'q',
+  bookingIdFilter: 'booking',
+  expandedIds: 'expanded'
+}
+
+const ZOOMS = ['day', 'week', 'month']
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && dayjs(value).isValid()
+
+/**
+ * Read the scheduler view from the page's query parameters
+ * Missing or invalid parameters are left out, so the page keeps its defaults for them.
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @returns {Object} View state with any of startDate, zoom, searchTerm, bookingIdFilter and
+ *   expandedIds (array of group ids; an empty array means every group is collapsed)
+ */
+export const parseViewState = (searchParams) => {
+  const view = {}
+
+  const startDate = searchParams.get(PARAMS.startDate)
+  if (startDate && isValidDate(startDate)) view.startDate = startDate
+
+  const zoom = searchParams.get(PARAMS.zoom)
+  if (ZOOMS.includes(zoom)) view.zoom = zoom
+
+  const searchTerm = searchParams.get(PARAMS.searchTerm)
+  if (searchTerm) view.searchTerm = searchTerm
+
+  const bookingIdFilter = searchParams.get(PARAMS.bookingIdFilter)
+  if (bookingIdFilter) view.bookingIdFilter = bookingIdFilter
+
+  const expanded = searchParams.get(PARAMS.expandedIds)
+  if (expanded !== null) view.expandedIds = expanded.split(',').filter(Boolean)
+
+  return view
+}
+
+/**
+ * Write the scheduler view as a query string
+ * Empty values are left out to keep shared links short.
+ * @param {Object} view - View state as returned by parseViewState
+ * @returns {string} Query string without the leading "?"
+ */
+export const serializeViewState = (view) => {
+  const params = new URLSearchParams()
+
+  if (view.startDate) params.set(PARAMS.startDate, view.startDate)
+  if (view.zoom && view.zoom !== ZOOMS[0]) params.set(PARAMS.zoom, view.zoom)
+  if (view.searchTerm) params.set(PARAMS.searchTerm, view.searchTerm)
+  if (view.bookingIdFilter) params.set(PARAMS.bookingIdFilter, view.bookingIdFilter)
+  if (view.expandedIds) params.set(PARAMS.expandedIds, view.expandedIds.join(','))
+
+  return params.toString()
+}
+
+/**
+ * Expand exactly the listed groups
+ * @param {Array} resources - Resource groups
+ * @param {Array} expandedIds - Ids of the groups to expand
+ * @returns {Array} Resource groups with updated expanded flags
+ */
+export const applyExpandedGroups = (resources, expandedIds) => {
+  const expanded = new Set(expandedIds)
+  return resources.map(group => ({ ...group, expanded: expanded.has(group.id) }))
+}